@@ -13,6 +13,9 @@ var ChannelController = {
     Channel.find()
       .populate('owner')
       .then(function(channels) {
+        // unlisted and private channels are only found by those who know where to look
+        channels = _.filter(channels, ChannelAccessService.isListed);
+
         if (req.wantsJSON || req.isSocket) {
           return res.json({
             channels: channels
@@ -40,16 +43,56 @@ var ChannelController = {
           return res.notFound('Channel not found');
         }
 
-        if (req.wantsJSON || req.isSocket) {
-          return res.json({
-            channel: channel
-          });
-        } else {
-          return res.view({
-            channel: channel,
-            title: channel.name
+        var joinToken = req.param('joinToken');
+
+        return PermissionService.permissions(channel, req.session)
+          .then(function(permissions) {
+            if (!ChannelAccessService.canAccess(channel, req.session, joinToken, permissions.role)) {
+              if (ChannelAccessService.visibility(channel) !== 'password') {
+                return res.forbidden('This channel is private');
+              }
+
+              if (req.wantsJSON || req.isSocket) {
+                return res.forbidden('This channel needs a password');
+              }
+
+              return res.view('channel/unlock', {
+                channel: channel,
+                title: channel.name
+              });
+            }
+
+            if (req.wantsJSON || req.isSocket) {
+              return res.json({
+                channel: channel,
+                permissions: permissions
+              });
+            }
+
+            // whoever manages the channel gets to see who's allowed in and who has what role
+            var allowedUsers = [];
+            var members = [];
+
+            if (permissions.manage) {
+              if (!_.isEmpty(channel.allowedUsers)) allowedUsers = User.find({ id: channel.allowedUsers });
+              members = PermissionService.members(channel);
+            }
+
+            return Promise.join(allowedUsers, members)
+              .spread(function(allowedUsers, members) {
+                return res.view({
+                  channel: channel,
+                  title: channel.name,
+                  topologies: TopologyService.names(),
+                  permissions: permissions,
+                  roles: PermissionService.grantableRoles,
+                  members: members,
+                  allowedUsers: _.pluck(allowedUsers, 'email'),
+                  // the page hands it on when subscribing and becoming a peer
+                  joinToken: JoinTokenService.verify(joinToken, channel.id) ? joinToken : null
+                });
+              });
           });
-        }
       })
       .error(function(err) {
         if (err.code === 'E_VALIDATION')
@@ -60,10 +103,6 @@ var ChannelController = {
   },
 
   create: function(req, res) {
-    if (!req.session.user) {
-      return res.forbidden('Not logged in');
-    }
-
     var name = req.param('name');
     var owner = req.session.user.id;
 
@@ -86,17 +125,53 @@ var ChannelController = {
   update: function(req, res) {
     var name = req.param('name');
     var description = req.param('description');
+    var topology = req.param('topology');
+    var parents = req.param('parents');
+    var visibility = req.param('visibility');
+    var password = req.param('password');
+    var allowedUsers = req.param('allowedUsers');
+    var guestChat = req.param('guestChat');
     var id = req.param('id');
 
     if (_.isUndefined(id)){
       return res.badRequest('Channel ID is required', 'back');
     }
 
-    Channel.update({ id: id },
-                   { name: name, description: description })
+    var update = { name: name, description: description, topology: topology, parents: parents, visibility: visibility };
+    update = _.omit(update, _.isUndefined); // no undefined!
+
+    // left blank means keep the one it has
+    if (_.isString(password) && password.length > 0) update.password = password;
+
+    // unchecked boxes aren't sent at all, so the form says when it has one
+    if (!_.isUndefined(guestChat) || req.param('hasGuestChat')) {
+      update.guestChat = guestChat === true || guestChat === 'true' || guestChat === 'on';
+    }
+
+    Channel.findOneById(id)
       .then(function(channel) {
-        req.flash('msg', 'Channel updated successfully');
-        return res.redirect('back');
+        if (!channel) {
+          return res.notFound('Channel not found');
+        }
+
+        // can't lock a channel with a password nobody knows
+        if (update.visibility === 'password' && !update.password && !channel.password) {
+          return res.badRequest('Password channels need a password', 'back');
+        }
+
+        return ChannelAccessService.resolveUsers(allowedUsers)
+          .then(function(userIds) {
+            if (!_.isUndefined(allowedUsers)) update.allowedUsers = userIds;
+
+            return Channel.update({ id: id }, update)
+              .then(function(channel) {
+                req.flash('msg', 'Channel updated successfully');
+                return res.redirect('back');
+              });
+          }, function(err) {
+            // someone on the list doesn't have an account
+            return res.badRequest(err.message, 'back');
+          });
       })
       .error(function(err) {
         if (err.code === 'E_VALIDATION')
@@ -136,43 +211,32 @@ var ChannelController = {
   tree: function(req, res) {
     var channelId = req.param('id');
 
-    var getChannel = Promise.method(function(channelId) {
-      return Channel.findOneById(channelId)
-        .then(function(channel) {
-          if (!channel) {
-            return res.notFound('Channel not found');
-          }
-          return channel;
-        });
-    });
-
     Channel.findOneById(channelId)
       .then(function(channel) {
         if (!channel) {
           return res.notFound('Channel not found');
         }
 
-        // TODO which broadcaster is best as root?
-        var findOnePeer = Peer.findOne({ channel: channelId, broadcaster: true }).populate('connections');
-        return [channel, findOnePeer];
-      })
-      .spread(function(channel, broadcaster) {
-        if (!broadcaster) {
-          return res.notFound('No broadcasters found');
-        }
+        return ChannelAccessService.check(channel, req.session, req.param('joinToken'))
+          .then(function(allowed) {
+            if (!allowed) {
+              return res.forbidden('You can not see this channel');
+            }
 
-        return Promise.join(channel, broadcaster, broadcaster.buildTree());
-      })
-      .spread(function(channel, peer, treeJSON) {
-        if (req.wantsJSON || req.isSocket) {
-          return res.json(treeJSON, 200);
-        } else {
-          return res.view({
-            channel: channel,
-            title: channel.name,
-            treeJSON: treeJSON
+            // every peer in the channel, including any that can't get back to a broadcaster
+            return Peer.buildForest(channel.id)
+              .then(function(forest) {
+                if (req.wantsJSON || req.isSocket) {
+                  return res.json(forest, 200);
+                } else {
+                  return res.view({
+                    channel: channel,
+                    title: channel.name,
+                    treeJSON: forest
+                  });
+                }
+              });
           });
-        }
       })
       .error(function(err) {
         if (err.code === 'E_VALIDATION')
@@ -187,10 +251,6 @@ var ChannelController = {
    * These updates include viewer counts, new trees, etc
    */
   subscribe: function(req, res) {
-    if (!req.isSocket) {
-      return res.badRequest('Channel subscriptions only supported with sockets');
-    }
-
     var channelId = req.param('id');
     var context = req.param('context') || 'message'; // default context is message
 
@@ -201,12 +261,485 @@ var ChannelController = {
           return res.notFound('Channel not found');
         }
 
-        Channel.subscribe(req.socket, channel, context);
+        return Promise.join(ChannelAccessService.check(channel, req.session, req.param('joinToken')), ModerationService.findBan(channel, req))
+          .spread(function(allowed, ban) {
+            if (!allowed) {
+              return res.forbidden('You can not see this channel');
+            }
+
+            if (ban) {
+              return res.forbidden('You are banned from this channel');
+            }
+
+            Channel.subscribe(req.socket, channel, context);
+
+            // we'll bootstrap them with some info
+            Channel.message(channel, { type: 'status', live: channel.isLive(), numPeers: channel.peers.length });
+
+            return res.ok();
+          });
+      })
+      .error(function(err) {
+        return res.serverError(err);
+      });
+  },
+
+  /*
+   * Hands the owner a signed join token for the channel, to pass on to a viewer (see JoinTokenService)
+   * Takes how many seconds it's good for (ttl), a viewer id and how many peers can use it at once (maxConcurrent)
+   */
+  token: function(req, res) {
+    var channelId = req.param('id');
+    var config = sails.config.joinTokens;
+
+    var ttl = _.isUndefined(req.param('ttl')) ? config.defaultTtl : parseInt(req.param('ttl'), 10);
+    var maxConcurrent = _.isUndefined(req.param('maxConcurrent')) ? void 0 : parseInt(req.param('maxConcurrent'), 10);
+    var viewer = req.param('viewer');
+
+    if (_.isNaN(ttl) || ttl <= 0 || ttl > config.maxTtl) {
+      return res.badRequest('ttl must be between 1 and ' + config.maxTtl + ' seconds');
+    }
+
+    if (!_.isUndefined(maxConcurrent) && (_.isNaN(maxConcurrent) || maxConcurrent < 1)) {
+      return res.badRequest('maxConcurrent must be at least 1');
+    }
+
+    Channel.findOneById(channelId)
+      .then(function(channel) {
+        if (!channel) {
+          return res.notFound('Channel not found');
+        }
+
+        var issued = JoinTokenService.issue(channel.id, ttl, { viewer: viewer, maxConcurrent: maxConcurrent });
+
+        sails.log.info('Channel#token: issued join token', issued.claims.id, 'for channel', channel.id);
+
+        return res.json({
+          status: 200,
+          token: issued.token,
+          expires: issued.claims.expires,
+          url: '/channel/' + channel.id + '?joinToken=' + encodeURIComponent(issued.token)
+        });
+      })
+      .error(function(err) {
+        return res.serverError(err);
+      });
+  },
 
-        // we'll bootstrap them with some info
-        Channel.message(channel, { type: 'status', live: channel.isLive(), numPeers: channel.peers.length });
+  /*
+   * Gives a user a role on the channel, replacing any they had
+   * Takes the user's email and the role, see PermissionService for what each one lets them do
+   */
+  grant: function(req, res) {
+    var channelId = req.param('id');
+    var email = req.param('email');
+    var role = req.param('role');
+
+    if (!_.contains(PermissionService.grantableRoles, role)) {
+      return res.badRequest('Role must be one of ' + PermissionService.grantableRoles.join(', '), 'back');
+    }
+
+    Promise.join(Channel.findOneById(channelId), User.findOneByEmail(email))
+      .spread(function(channel, user) {
+        if (!channel) {
+          return res.notFound('Channel not found');
+        }
+
+        return PermissionService.can(channel, req.session, 'manage')
+          .then(function(allowed) {
+            if (!allowed) {
+              sails.log.warn('Channel#grant: someone who can not manage channel', channel.id, 'tried to grant', role);
+              return res.forbidden('Only the owner can hand out roles');
+            }
+
+            if (!user) {
+              return res.badRequest('No user with the email ' + email, 'back');
+            }
+
+            return PermissionService.grant(channel, user.id, role)
+              .then(function(membership) {
+                sails.log.info('Channel#grant: user', user.id, 'is now', role, 'on channel', channel.id);
+
+                if (req.wantsJSON || req.isSocket) return res.json({ status: 200, membership: membership });
+
+                req.flash('msg', user.name + ' is now a ' + role);
+                return res.redirect('back');
+              }, function(err) {
+                return res.badRequest(err.message, 'back');
+              });
+          });
+      })
+      .error(function(err) {
+        return res.serverError(err);
+      });
+  },
+
+  // takes whatever role a user had on the channel away
+  revoke: function(req, res) {
+    var channelId = req.param('id');
+    var userId = req.param('user');
+
+    Channel.findOneById(channelId)
+      .then(function(channel) {
+        if (!channel) {
+          return res.notFound('Channel not found');
+        }
+
+        return PermissionService.can(channel, req.session, 'manage')
+          .then(function(allowed) {
+            if (!allowed) {
+              sails.log.warn('Channel#revoke: someone who can not manage channel', channel.id, 'tried to revoke a role');
+              return res.forbidden('Only the owner can take roles away');
+            }
+
+            return PermissionService.revoke(channel, userId)
+              .then(function(revoked) {
+                sails.log.info('Channel#revoke: user', userId, 'no longer has a role on channel', channel.id);
+
+                if (req.wantsJSON || req.isSocket) return res.json({ status: 200, revoked: revoked.length });
+
+                req.flash('msg', 'Role revoked');
+                return res.redirect('back');
+              });
+          });
+      })
+      .error(function(err) {
+        return res.serverError(err);
+      });
+  },
+
+  /*
+   * Kicks a peer out of the channel, it's told why and its children are found new parents
+   * Nothing stops it from coming back, that's what bans are for
+   */
+  kick: function(req, res) {
+    var channelId = req.param('id');
+    var peerId = req.param('peer');
+    var reason = req.param('reason');
+
+    Promise.join(Channel.findOneById(channelId), Peer.findOneById(peerId))
+      .spread(function(channel, peer) {
+        if (!channel) {
+          return res.notFound('Channel not found');
+        }
+
+        return PermissionService.can(channel, req.session, 'moderate')
+          .then(function(allowed) {
+            if (!allowed) {
+              sails.log.warn('Channel#kick: someone who can not moderate channel', channel.id, 'tried to kick peer', peerId);
+              return res.forbidden('Only moderators can kick peers');
+            }
+
+            if (!peer || !ModerationService.canModerate(channel, peer)) {
+              return res.badRequest('Can not kick that peer');
+            }
+
+            return ModerationService.kick(channel, peer, reason)
+              .then(function() {
+                return res.json({ status: 200 });
+              });
+          });
+      })
+      .error(function(err) {
+        return res.serverError(err);
+      })
+      .catch(function(err) {
+        sails.log.error('Channel#kick: Internal server error', err);
+        return res.serverError('Internal server error');
+      });
+  },
 
-        return res.ok();
+  /*
+   * Bans whoever is behind a peer from the channel, by their user if they're logged in or their session if not
+   * `scope` can force one or the other, `duration` is in minutes and leaving it out bans them for good
+   * A user can also be banned by `email` without being around, and anyone by a chat `message` they posted
+   */
+  ban: function(req, res) {
+    var channelId = req.param('id');
+    var peerId = req.param('peer');
+    var messageId = req.param('message');
+    var email = req.param('email');
+    var scope = req.param('scope');
+    var reason = req.param('reason');
+    var duration = _.isUndefined(req.param('duration')) ? null : parseInt(req.param('duration'), 10);
+
+    if (!peerId && !messageId && !email) {
+      return res.badRequest('Need a peer, a chat message or an email to ban');
+    }
+
+    // no duration at all is a ban for good, anything given has to make sense though
+    if (duration !== null && (_.isNaN(duration) || duration <= 0)) {
+      return res.badRequest('Duration must be a positive number of minutes');
+    }
+
+    if (scope && !_.contains(['user', 'session'], scope)) {
+      return res.badRequest('Scope must be either user or session');
+    }
+
+    Promise.join(Channel.findOneById(channelId),
+                 peerId ? Peer.findOneById(peerId) : null,
+                 messageId ? ChatMessage.findOneById(messageId) : null,
+                 email ? User.findOneByEmail(email) : null)
+      .spread(function(channel, peer, message, user) {
+        if (!channel) {
+          return res.notFound('Channel not found');
+        }
+
+        return PermissionService.can(channel, req.session, 'moderate')
+          .then(function(allowed) {
+            if (!allowed) {
+              sails.log.warn('Channel#ban: someone who can not moderate channel', channel.id, 'tried to ban someone');
+              return res.forbidden('Only moderators can ban');
+            }
+
+            var target = {};
+
+            if (peerId) {
+              if (!peer || !ModerationService.canModerate(channel, peer)) {
+                return res.badRequest('Can not ban that peer');
+              }
+
+              if (scope !== 'session' && peer.user) target.user = peer.user;
+              else if (scope !== 'user' && peer.session) target.session = peer.session;
+            } else if (messageId) {
+              // whoever said it, as long as it was said here and not by the owner
+              if (!message || String(message.channel) !== String(channel.id) || String(message.user) === String(channel.owner)) {
+                return res.badRequest('Can not ban whoever said that');
+              }
+
+              if (scope !== 'session' && message.user) target.user = message.user;
+              else if (scope !== 'user' && message.session) target.session = message.session;
+            } else if (user) {
+              if (String(user.id) === String(channel.owner)) {
+                return res.badRequest('Can not ban the owner');
+              }
+
+              target.user = user.id;
+            }
+
+            if (!target.user && !target.session) {
+              return res.badRequest('Nobody to ban');
+            }
+
+            return ModerationService.ban(channel, target, {
+              reason: reason,
+              by: req.session.user.id,
+              duration: duration && duration * 60000
+            })
+              .then(function(ban) {
+                return res.json({ status: 200, ban: ban });
+              });
+          });
+      })
+      .error(function(err) {
+        return res.serverError(err);
+      })
+      .catch(function(err) {
+        sails.log.error('Channel#ban: Internal server error', err);
+        return res.serverError('Internal server error');
+      });
+  },
+
+  unban: function(req, res) {
+    var channelId = req.param('id');
+    var banId = req.param('ban');
+
+    Channel.findOneById(channelId)
+      .then(function(channel) {
+        if (!channel) {
+          return res.notFound('Channel not found');
+        }
+
+        return PermissionService.can(channel, req.session, 'moderate')
+          .then(function(allowed) {
+            if (!allowed) {
+              return res.forbidden('Only moderators can lift bans');
+            }
+
+            return ModerationService.unban(channel, banId)
+              .then(function(unbanned) {
+                if (unbanned.length === 0) {
+                  return res.notFound('Ban not found');
+                }
+
+                return res.json({ status: 200 });
+              });
+          });
+      })
+      .error(function(err) {
+        return res.serverError(err);
+      });
+  },
+
+  /*
+   * Says something in the channel's chat
+   * Guests can pass the `handle` they want to go by, if the channel lets guests chat at all
+   */
+  chat: function(req, res) {
+    var channelId = req.param('id');
+    var text = req.param('text');
+    var config = sails.config.chat;
+
+    text = _.isString(text) ? text.trim() : '';
+
+    if (text.length === 0 || text.length > config.maxLength) {
+      return res.badRequest('Messages must be between 1 and ' + config.maxLength + ' characters');
+    }
+
+    Channel.findOneById(channelId)
+      .then(function(channel) {
+        if (!channel) {
+          return res.notFound('Channel not found');
+        }
+
+        return Promise.join(ChannelAccessService.check(channel, req.session, req.param('joinToken')), ModerationService.findBan(channel, req))
+          .spread(function(allowed, ban) {
+            if (!allowed || ban) {
+              return res.forbidden('You can not chat on this channel');
+            }
+
+            var author = ChatService.author(channel, req, req.param('handle'));
+
+            if (!author) {
+              return res.forbidden('Log in to chat on this channel');
+            }
+
+            // only someone who'd actually get to say something uses up a message
+            var limiter = ChatService.limiter();
+            var chatter = ChatService.chatterKey(req);
+
+            if (!limiter.take(chatter)) {
+              return res.json({ status: 429, message: 'Slow down', retryAfter: limiter.retryAfter(chatter) }, 429);
+            }
+
+            return ChatService.post(channel, author, text, ModerationService.sessionKey(req))
+              .then(function(message) {
+                return res.json({ status: 200, message: message });
+              });
+          });
+      })
+      .error(function(err) {
+        if (err.code === 'E_VALIDATION')
+          return res.badRequest(err);
+        else
+          return res.serverError(err);
+      })
+      .catch(function(err) {
+        sails.log.error('Channel#chat: Internal server error', err);
+        return res.serverError('Internal server error');
+      });
+  },
+
+  // the most recent chat messages, or the ones from before the date in `before`
+  chatHistory: function(req, res) {
+    var channelId = req.param('id');
+    var historySize = sails.config.chat.historySize;
+    var limit = Math.min(parseInt(req.param('limit'), 10) || historySize, historySize);
+
+    Channel.findOneById(channelId)
+      .then(function(channel) {
+        if (!channel) {
+          return res.notFound('Channel not found');
+        }
+
+        return ChannelAccessService.check(channel, req.session, req.param('joinToken'))
+          .then(function(allowed) {
+            if (!allowed) {
+              return res.forbidden('You can not see this channel');
+            }
+
+            var before = req.param('before');
+
+            if (before && _.isNaN(new Date(before).getTime())) {
+              return res.badRequest('before must be a date');
+            }
+
+            return ChatService.history(channel, limit, before)
+              .then(function(messages) {
+                return res.json({ status: 200, messages: messages });
+              });
+          });
+      })
+      .error(function(err) {
+        return res.serverError(err);
+      })
+      .catch(function(err) {
+        sails.log.error('Channel#chatHistory: Internal server error', err);
+        return res.serverError('Internal server error');
+      });
+  },
+
+  // takes a chat message down, for moderators
+  deleteChat: function(req, res) {
+    var channelId = req.param('id');
+    var messageId = req.param('message');
+
+    Channel.findOneById(channelId)
+      .then(function(channel) {
+        if (!channel) {
+          return res.notFound('Channel not found');
+        }
+
+        return PermissionService.can(channel, req.session, 'moderate')
+          .then(function(allowed) {
+            if (!allowed) {
+              sails.log.warn('Channel#deleteChat: someone who can not moderate channel', channel.id, 'tried to delete a message');
+              return res.forbidden('Only moderators can delete messages');
+            }
+
+            return ChatService.remove(channel, messageId)
+              .then(function(removed) {
+                if (!removed) {
+                  return res.notFound('Message not found');
+                }
+
+                return res.json({ status: 200 });
+              });
+          });
+      })
+      .error(function(err) {
+        return res.serverError(err);
+      })
+      .catch(function(err) {
+        sails.log.error('Channel#deleteChat: Internal server error', err);
+        return res.serverError('Internal server error');
+      });
+  },
+
+  // enter the password for a password channel, the session's let in from then on
+  unlock: function(req, res) {
+    var channelId = req.param('id');
+    var password = req.param('password');
+
+    Channel.findOneById(channelId)
+      .then(function(channel) {
+        if (!channel) {
+          return res.notFound('Channel not found');
+        }
+
+        return ChannelAccessService.unlock(channel, req.session, password)
+          .then(function(unlocked) {
+            if (!unlocked) {
+              sails.log.info('Channel#unlock: wrong password for channel', channel.id);
+
+              if (req.wantsJSON || req.isSocket) return res.forbidden('Wrong password');
+
+              req.flash('msg', 'Wrong password');
+              return res.redirect('back');
+            }
+
+            req.session.save();
+
+            if (req.wantsJSON || req.isSocket) return res.ok();
+            return res.redirect('/channel/' + channel.id);
+          });
+      })
+      .error(function(err) {
+        return res.serverError(err);
+      })
+      .catch(function(err) {
+        sails.log.error('Channel#unlock: Internal server error', err);
+        return res.serverError('Internal server error');
       });
   }
 
@@ -6,15 +6,32 @@
  */
 
 var _ = require('lodash');
+var t = require('t');
 var Promise = require('bluebird');
 
+var PeerConnectionStates = require('../../assets/js/PeerConnectionStates');
+
+// which end of the connection a socket is on, if any
+// only the two peers a connection joins get to signal over it or tear it down
+function sideOf(peerConn, socketId) {
+  if (peerConn.endpoint && peerConn.endpoint.socketId === socketId) return 'receiver';
+  if (peerConn.initiator && peerConn.initiator.socketId === socketId) return 'initiator';
+  return null;
+}
+
+// `return answered(res.forbidden(...))` responds, then skips the rest of the chain
+// what it rejects with is no Error, so only the catch-alls see it, and they know not to respond again
+// frozen, or bluebird marks it as coming from a rejection on its way through waterline and `.error` catches it
+var ANSWERED = Object.freeze({});
+
+function answered(response) {
+  return Promise.reject(ANSWERED);
+}
+
 var PeerConnectionController = {
   create: function(req, res) {
-    if (!req.isSocket) {
-      return res.badRequest('Peer management only supported with sockets');
-    }
-
     var socketId = req.socket.id;
+    var standby = req.param('standby') === true || req.param('standby') === 'true';
 
     // first, we get the id of the one requesting a new peer connection
     // to do this, we find them in the peer table
@@ -24,34 +41,83 @@ var PeerConnectionController = {
         .populate('connections')
         .then(function(peer) {
           if (!peer) {
-            return Promise.reject(res.notFound('Can not get a peer connection unless you are a peer'));
+            return answered(res.notFound('Can not get a peer connection unless you are a peer'));
           }
 
           return peer;
         });
     });
 
+    // build the forest, every broadcaster roots its own tree
+    // the least loaded broadcaster goes first, falling back to the others if its tree is full
+    // the strategy picks where the initiator goes within a tree
+    // without looping back on itself or doubling up on an upstream it already has
+    var chooseFromForest = function(topology, forest, initiatorPeer) {
+      var receiverMatch;
+
+      _.find(TopologyService.rankRoots(forest.roots), function(root) {
+        receiverMatch = TopologyService.chooseUpstream(topology, initiatorPeer, TopologyService.exclude(root, initiatorPeer));
+        return receiverMatch;
+      });
+
+      return receiverMatch;
+    };
+
+    // the upstream the server picked for us, as long as it can still take us
+    // it was picked outside the reservation queue (by the rebalancer, or when our last upstream left)
+    // so since then it may have filled up, gone away, or ended up downstream of us
+    // only the trees in our own channel are searched, and only the parts hanging off a broadcaster
+    var findAssignedUpstream = function(forest, initiatorPeer, upstreamId) {
+      var upstream;
+
+      _.find(forest.roots, function(root) {
+        t.dfs(TopologyService.exclude(root, initiatorPeer), function(node) {
+          if (node.id === upstreamId) upstream = node;
+        });
+
+        return upstream;
+      });
+
+      return upstream && TopologyService.canTake(upstream, initiatorPeer) ? upstream : null;
+    };
+
     var getPeerMatch = function(initiatorPeer) {
       sails.log.silly('PeerConnectionController#create: getPeerMatch - initiatorPeer', initiatorPeer);
 
-      // first, build a tree
-      // we'll find some broadcaster to be the root
-      return Peer.findOne({ channel: initiatorPeer.channel.id, broadcaster: true })
-        .populate('channel')
-        .populate('connections')
-        .then(function(broadcaster) {
-          if (!broadcaster) {
+      // the channel decides what shape its overlay takes
+      var topology = initiatorPeer.channel.topology;
+
+      // standbys are only for channels that want more than one parent per viewer
+      if (standby && initiatorPeer.getParentConnections().length >= initiatorPeer.channel.parents) {
+        return answered(res.badRequest('Already have as many upstream connections as the channel allows'));
+      }
+
+      // dirty hack to prevent validation errors later
+      initiatorPeer.channel = initiatorPeer.channel.id;
+
+      // the server may have already picked an upstream for us, say when our last one left
+      var assignedUpstreamId = standby ? null : OverlayService.takeAssignment(initiatorPeer.id);
+
+      return TopologyService.buildForest(topology, initiatorPeer.channel)
+        .then(function(forest) {
+          if (forest.roots.length === 0) {
             throw new Error('No broadcasters available to create peer connection');
           }
 
-          // dirty hack to prevent validation errors later
-          initiatorPeer.channel = initiatorPeer.channel.id;
+          var assignedUpstream = assignedUpstreamId && findAssignedUpstream(forest, initiatorPeer, assignedUpstreamId);
 
-          return broadcaster.buildTree();
-        })
-        .then(function(root) {
-          // now that we have a root, we can call chooseUpstream on initiator with the root passed in
-          return initiatorPeer.chooseUpstream(root);
+          if (assignedUpstream) {
+            sails.log.info('PeerConnectionController#create: using assigned upstream', assignedUpstream.id,
+                           'for peer', initiatorPeer.id);
+            return assignedUpstream;
+          }
+
+          if (assignedUpstreamId) {
+            sails.log.info('PeerConnectionController#create: assigned upstream', assignedUpstreamId,
+                           'can no longer take peer', initiatorPeer.id, 'choosing another');
+          }
+
+          return chooseFromForest(topology, forest, initiatorPeer);
         })
         .then(function(receiverMatch) {
           if (!receiverMatch) {
@@ -70,7 +136,7 @@ var PeerConnectionController = {
       sails.log.silly('PeerConnectionController#create: hookupPeerConnection - initiatorPeer', initiatorPeer, 'receiverPeer', receiverPeer);
 
       var makePc = Promise.method(function(initiatorPeer, receiverPeer) {
-        return PeerConnection.create({ state: 'reserved', endpoint: receiverPeer.id, initiator: initiatorPeer.id })
+        return PeerConnection.create({ state: 'reserved', endpoint: receiverPeer.id, initiator: initiatorPeer.id, standby: standby })
           .then(function(peerConn) {
             if (!peerConn) {
               throw new Error('Unable to create peer connection');
@@ -83,8 +149,8 @@ var PeerConnectionController = {
           });
       });
 
-      // TODO terrible terrible race condition possible
-      // it is possible to overwrite connections with an old value
+      // these save whatever connections the peers had when we looked them up
+      // which is only safe because we're inside the channel's reservation queue, see below
       var saveInitiator = function saveInitiator(peerConn, initiatorPeer) {
         return new Promise(function(resolve, reject) {
           initiatorPeer.connections.add(peerConn.id);
@@ -128,8 +194,16 @@ var PeerConnectionController = {
     };
 
     getPeerBySocketId(socketId)
-      .then(getPeerMatch)
-      .spread(hookupPeerConnection)
+      .then(function(initiatorPeer) {
+        // from choosing an upstream to recording the connection on both peers, one request at a time per channel
+        // otherwise two peers joining at once could both be given the same last free slot
+        // the initiator is looked up again once it's our turn, someone ahead of us may have changed it
+        return ReservationService.queue(initiatorPeer.channel.id, function() {
+          return getPeerBySocketId(socketId)
+            .then(getPeerMatch)
+            .spread(hookupPeerConnection);
+        });
+      })
       .spread(function(peerConn, initiatorPeer, receiverPeer) {
         sails.log.info('PeerConnection#create: final - peerConn', peerConn,
                        'initiatorPeer', initiatorPeer,
@@ -159,6 +233,8 @@ var PeerConnectionController = {
         return res.serverError('Internal server error', err);
       })
       .catch(function(err) {
+        if (err === ANSWERED) return;
+
         sails.log.error('PeerConnectionController#create: Other internal server error', err);
         return res.serverError('Other internal server error', err);
       });
@@ -166,21 +242,32 @@ var PeerConnectionController = {
   },
 
   message: function(req, res) {
-    if (!req.isSocket) {
-      return res.badRequest('Peer management only supported with sockets');
-    }
-
     var peerConnectionId = req.param('id');
     var data = req.param('data');
     var socketId = req.socket.id;
 
+    // whatever we relay goes straight into the other browser, so it had better be something it expects
+    var problem = SignalingService.validate(data);
+
+    if (problem) {
+      sails.log.warn('PeerConnection#message: socket', socketId, 'sent a malformed message for peer connection',
+                     peerConnectionId, '-', problem);
+      return res.badRequest(problem);
+    }
+
     var getPeerConnectionById = Promise.method(function(peerConnectionId) {
       return PeerConnection.findOneById(peerConnectionId)
         .populate('initiator')
         .populate('endpoint')
         .then(function(peerConn) {
           if (!peerConn) {
-            return Promise.reject(res.serverError('Can not message a nonexistent peer connection'));
+            return answered(res.serverError('Can not message a nonexistent peer connection'));
+          }
+
+          if (!sideOf(peerConn, socketId)) {
+            sails.log.warn('PeerConnection#message: socket', socketId, 'tried to message peer connection', peerConn.id,
+                           'that it is not an end of');
+            return answered(res.forbidden('Only the peers on either end can message a peer connection'));
           }
 
           return peerConn;
@@ -189,24 +276,24 @@ var PeerConnectionController = {
 
     // update reserved state to connecting state as required
     var updateState = function(peerConn) {
-      if (peerConn.state === 'reserved') {
-        var previousPeerConn = peerConn.toObject();
+      if (peerConn.state === 'failed' || peerConn.state === 'closing') {
+        return answered(res.badRequest('Can not message a peer connection that is ' + peerConn.state));
+      }
 
-        return PeerConnection.update({ id: peerConn.id },
-                                     { state: 'connecting' })
+      if (peerConn.state === 'reserved') {
+        return PeerConnection.transition(peerConn, 'connecting')
           .then(function(updated) {
-            if (!updated || updated.length === 0) {
-              return Promise.reject(res.serverError('Could not change nonexistent peer connection state'));
-            }
-
-            updated = updated[0];
-
             // publish update if needed
             sails.log.verbose('PeerConnection#message: updateState for peer connection id', updated.id,
                               'new state', updated.state, 'previous', peerConn);
 
             PeerConnection.publishUpdate(updated.id, { state: updated.state }, null, { previous: peerConn });
 
+            return peerConn;
+          })
+          .catch(PeerConnectionStates.InvalidTransitionError, function(err) {
+            // someone else's message got there first, that's fine
+            sails.log.verbose('PeerConnection#message: updateState for peer connection id', peerConn.id, 'already moved on', err.message);
             return peerConn;
           });
       }
@@ -235,24 +322,21 @@ var PeerConnectionController = {
         return res.json({ status: 200 });
       })
       .error(function(err) {
-        sails.log.error('PeerConnectionController#message: DB error', e);
+        sails.log.error('PeerConnectionController#message: DB error', err);
         return res.serverError('DB error');
       })
-      .catch(Error, function(e) {
-        sails.log.error('PeerConnectionController#message: Internal server error', e);
+      .catch(Error, function(err) {
+        sails.log.error('PeerConnectionController#message: Internal server error', err);
         return res.serverError('Internal server error');
       })
-      .catch(function(e) {
+      .catch(function(err) {
+        if (err === ANSWERED) return;
         return res.serverError('Other internal server error');
       });
 
   },
 
   destroy: function(req, res) {
-    if (!req.isSocket) {
-      return res.badRequest('Peer management only supported with sockets');
-    }
-
     var socketId = req.socket.id;
     var peerConnectionId = req.param('id');
 
@@ -262,7 +346,13 @@ var PeerConnectionController = {
         .populate('endpoint')
         .then(function(peerConn) {
           if (!peerConn) {
-            return Promise.reject(res.notFound('Can not destroy nonexistent peer connection'));
+            return answered(res.notFound('Can not destroy nonexistent peer connection'));
+          }
+
+          if (!sideOf(peerConn, socketId)) {
+            sails.log.warn('PeerConnection#destroy: socket', socketId, 'tried to destroy peer connection', peerConn.id,
+                           'that it is not an end of');
+            return answered(res.forbidden('Only the peers on either end can destroy a peer connection'));
           }
 
           return peerConn;
@@ -270,7 +360,16 @@ var PeerConnectionController = {
     });
 
     var destroyPeerConnection = function(peerConn) {
-      return PeerConnection.destroy({ id: peerConn.id })
+      // closing first, so nothing else can move it along while it goes
+      var closing = peerConn.state === 'closing' ? Promise.resolve() : PeerConnection.transition(peerConn, 'closing');
+
+      return closing
+        .catch(PeerConnectionStates.InvalidTransitionError, function(err) {
+          sails.log.verbose('PeerConnection#destroy: peer connection', peerConn.id, 'could not be closed first', err.message);
+        })
+        .then(function() {
+          return PeerConnection.destroy({ id: peerConn.id });
+        })
         .then(function() {
           return peerConn;
         });
@@ -288,24 +387,87 @@ var PeerConnectionController = {
         return res.json({ status: 200 });
       })
       .error(function(err) {
-        sails.log.error('PeerConnectionController#destroy: DB error', e);
+        sails.log.error('PeerConnectionController#destroy: DB error', err);
         return res.serverError('DB error');
       })
-      .catch(Error, function(e) {
-        sails.log.error('PeerConnectionController#destroy: Internal server error', e);
+      .catch(Error, function(err) {
+        sails.log.error('PeerConnectionController#destroy: Internal server error', err);
         return res.serverError('Internal server error');
       })
-      .catch(function(e) {
+      .catch(function(err) {
+        if (err === ANSWERED) return;
         return res.serverError('Other internal server error');
       });
 
   },
 
-  finalize: function(req, res) {
-    if (!req.isSocket) {
-      return res.badRequest('Peer management only supported with sockets');
-    }
+  /*
+   * Make a standby upstream connection the active one
+   * Called by the initiator when it fails over, any other upstreams it has become standbys
+   */
+  promote: function(req, res) {
+    var peerConnectionId = req.param('id');
+    var socketId = req.socket.id;
+
+    var getPeerConnectionById = Promise.method(function(peerConnectionId) {
+      return PeerConnection.findOneById(peerConnectionId)
+        .populate('initiator')
+        .then(function(peerConn) {
+          if (!peerConn) {
+            return answered(res.notFound('Can not promote a nonexistent peer connection'));
+          }
+
+          if (peerConn.initiator.socketId !== socketId) {
+            return answered(res.forbidden('Only the initiator can promote a peer connection'));
+          }
+
+          return peerConn;
+        });
+    });
+
+    var swapStandby = function(peerConn) {
+      var initiatorId = peerConn.initiator.id;
+
+      return PeerConnection.update({ initiator: initiatorId, id: { '!': peerConn.id }, standby: false }, { standby: true })
+        .then(function(demoted) {
+          return [PeerConnection.update({ id: peerConn.id }, { standby: false }), demoted];
+        })
+        .spread(function(promoted, demoted) {
+          _.forEach(demoted, function(updated) {
+            PeerConnection.publishUpdate(updated.id, { standby: true });
+          });
+
+          _.forEach(promoted, function(updated) {
+            PeerConnection.publishUpdate(updated.id, { standby: false });
+          });
 
+          return promoted[0];
+        });
+    };
+
+    getPeerConnectionById(peerConnectionId)
+      .then(swapStandby)
+      .then(function(peerConn) {
+        sails.log.info('PeerConnection#promote: Promoted peer connection', peerConn.id,
+                       'to active upstream by request of socket', socketId);
+
+        return res.json({ status: 200, connection: peerConn });
+      })
+      .error(function(err) {
+        sails.log.error('PeerConnectionController#promote: DB error', err);
+        return res.serverError('DB error');
+      })
+      .catch(Error, function(err) {
+        sails.log.error('PeerConnectionController#promote: Internal server error', err);
+        return res.serverError('Internal server error');
+      })
+      .catch(function(err) {
+        if (err === ANSWERED) return;
+        return res.serverError('Other internal server error');
+      });
+  },
+
+  finalize: function(req, res) {
     var peerConnectionId = req.param('id');
     var socketId = req.socket.id;
 
@@ -315,52 +477,49 @@ var PeerConnectionController = {
         .populate('endpoint')
         .then(function(peerConn) {
           if (!peerConn) {
-            return Promise.reject(res.serverError('Can not finalize a nonexistent peer connection'));
+            return answered(res.serverError('Can not finalize a nonexistent peer connection'));
+          }
+
+          if (!sideOf(peerConn, socketId)) {
+            sails.log.warn('PeerConnection#finalize: socket', socketId, 'tried to finalize peer connection', peerConn.id,
+                           'that it is not an end of');
+            return answered(res.forbidden('Only the peers on either end can finalize a peer connection'));
           }
 
           return peerConn;
         });
     });
 
-    // update reserved state to connecting state as required
+    // move the connection along to (init_|recv_)established depending on who's finalizing
     var updateState = Promise.method(function(peerConn) {
       sails.log.silly('PeerConnection#finalize: updateState - peerConn', peerConn);
 
-      if (peerConn.state !== 'established') {
-        var newState = 'established';
+      var side = sideOf(peerConn, socketId);
 
-        if (peerConn.endpoint.socketId === socketId) {
-          if (peerConn.state !== 'init_established') newState = 'recv_' + newState;
-        } else if (peerConn.initiator.socketId === socketId) {
-          if (peerConn.state !== 'recv_established') newState = 'init_' + newState;
-        } else {
-          // WTF?
-          throw new Error('Neither the receiver or initiator peer were responsible for finalizing the peer connection');
-        }
+      var newState = PeerConnectionStates.established(peerConn.state, side);
 
-        sails.log.verbose('PeerConnection#finalize: updateState - updating peer connection', peerConn.id,
-                          'with new state', newState, 'from old state', peerConn.state);
-
-        return PeerConnection.update({ id: peerConn.id }, { state: newState })
-          .then(function(updated) {
-            if (!updated || updated.length === 0) {
-              return res.serverError('Could not change nonexistent peer connection state');
-            }
+      // already in that state, this side must have finalized before
+      if (peerConn.state === 'established' || newState === peerConn.state) {
+        return peerConn;
+      }
 
-            updated = updated[0];
+      sails.log.verbose('PeerConnection#finalize: updateState - updating peer connection', peerConn.id,
+                        'with new state', newState, 'from old state', peerConn.state);
 
-            // publish update
-            sails.log.verbose('PeerConnection#finalize: updateState - publishing for peer connection id', updated.id,
-                              'new state', updated.state, 'previous', peerConn);
+      return PeerConnection.transition(peerConn, newState)
+        .then(function(updated) {
+          // publish update
+          sails.log.verbose('PeerConnection#finalize: updateState - publishing for peer connection id', updated.id,
+                            'new state', updated.state, 'previous', peerConn);
 
-            PeerConnection.publishUpdate(updated.id, { state: updated.state }, null, { previous: peerConn });
+          PeerConnection.publishUpdate(updated.id, { state: updated.state }, null, { previous: peerConn });
 
-            return updated;
-          });
-      } else {
-        // already in established state
-        return peerConn;
-      }
+          return updated;
+        })
+        .catch(PeerConnectionStates.InvalidTransitionError, function(err) {
+          sails.log.warn('PeerConnection#finalize: updateState - rejected for peer connection', peerConn.id, err.message);
+          return answered(res.badRequest(err.message));
+        });
     });
 
     getPeerConnectionById(peerConnectionId)
@@ -372,14 +531,15 @@ var PeerConnectionController = {
         return res.json({ status: 200, state: peerConn.state });
       })
       .error(function(err) {
-        sails.log.error('PeerConnectionController#finalize: DB error', e);
+        sails.log.error('PeerConnectionController#finalize: DB error', err);
         return res.serverError('DB error');
       })
-      .catch(Error, function(e) {
-        sails.log.error('PeerConnectionController#finalize: Internal server error', e);
+      .catch(Error, function(err) {
+        sails.log.error('PeerConnectionController#finalize: Internal server error', err);
         return res.serverError('Internal server error');
       })
-      .catch(function(e) {
+      .catch(function(err) {
+        if (err === ANSWERED) return;
         return res.serverError('Other internal server error');
       });
 
@@ -10,15 +10,57 @@ var Promise = require('bluebird');
 
 var PeerController = {
   create: function(req, res) {
-    if (!req.isSocket) {
-      return res.badRequest('Peer management only supported with sockets');
-    }
-
     var socketId = req.socket.id;
     var channelId = req.param('channel');
     var canBroadcast = false;
     var isBroadcaster = req.param('broadcaster') || false;
 
+    // given out when a peer is created, lets it take back its record from a new socket
+    var token = req.param('token');
+    var reclaimed = false;
+
+    // from the channel owner's backend, lets viewers in without an account (see JoinTokenService)
+    var joinToken = req.param('joinToken');
+    var joinClaims = null;
+
+    // what the peer tells us about its ability to relay the stream
+    var capacity = {
+      uploadCapacity: req.param('uploadCapacity'),
+      capacitySource: req.param('capacitySource'),
+      quality: req.param('quality'),
+      latency: req.param('latency')
+    };
+
+    capacity = _.omit(capacity, _.isUndefined);
+
+    if (_.has(capacity, 'uploadCapacity')) {
+      capacity.uploadCapacity = parseFloat(capacity.uploadCapacity);
+
+      if (_.isNaN(capacity.uploadCapacity) || capacity.uploadCapacity < 0) {
+        return res.badRequest('Upload capacity must be a non-negative number of kbps');
+      }
+    }
+
+    if (_.has(capacity, 'latency')) {
+      capacity.latency = parseFloat(capacity.latency);
+
+      if (_.isNaN(capacity.latency) || capacity.latency < 0) {
+        return res.badRequest('Latency must be a non-negative number of milliseconds');
+      }
+    }
+
+    if (_.has(capacity, 'capacitySource') && !_.contains(['measured', 'declared'], capacity.capacitySource)) {
+      return res.badRequest('Capacity source must be either measured or declared');
+    }
+
+    if (_.has(capacity, 'quality')) {
+      capacity.quality = parseFloat(capacity.quality);
+
+      if (_.isNaN(capacity.quality) || capacity.quality < 0 || capacity.quality > 1) {
+        return res.badRequest('Quality must be between 0 and 1');
+      }
+    }
+
     // check the channel exists
     var checkChannel = Promise.method(function(channelId) {
       return Channel.findOneById(channelId)
@@ -29,10 +71,26 @@ var PeerController = {
 	    return Promise.reject(res.notFound('Can not be a peer for a nonexistent channel'));
 	  }
 
-	  if (req.session.user && req.session.user.id === channel.owner.id) {
-	    canBroadcast = true;
+	  return [channel, PermissionService.permissions(channel, req.session), ModerationService.findBan(channel, req)];
+	})
+	.spread(function(channel, permissions, ban) {
+	  if (ban) {
+	    sails.log.info('PeerController#create: socket', socketId, 'is banned from channel', channel.id);
+	    return Promise.reject(res.forbidden('You are banned from this channel'));
+	  }
+
+	  joinClaims = JoinTokenService.verify(joinToken, channel.id);
+
+	  if (joinToken && !joinClaims) {
+	    return Promise.reject(res.forbidden('Join token is invalid or has expired'));
+	  }
+
+	  if (!joinClaims && !ChannelAccessService.canAccess(channel, req.session, null, permissions.role)) {
+	    return Promise.reject(res.forbidden('You can not watch this channel'));
 	  }
 
+	  canBroadcast = permissions.broadcast;
+
 	  if (!canBroadcast && isBroadcaster) {
 	    return Promise.reject(res.forbidden('You are not an allowed broadcaster'));
 	  }
@@ -43,8 +101,37 @@ var PeerController = {
 
     // create the peer given the channel and socket id
     var createPeer = Promise.method(function(channel, socketId) {
-      return Peer.findOrCreate({ socketId: socketId, channel: channelId },
-			       { socketId: socketId, channel: channelId, broadcaster: isBroadcaster })
+      // a peer whose socket went away (say the server restarted) can have its old record back
+      return Promise.cast(token && PeerStoreService.reclaim(token, channelId, socketId))
+        .then(function(peer) {
+          reclaimed = !!peer;
+          if (reclaimed) return peer;
+
+          var findOrCreate = function() {
+            var joined = joinClaims ? { joinTokenId: joinClaims.id, viewer: joinClaims.viewer || null } : {};
+
+            // who's behind the peer, should a moderator need to ban them
+            var identity = { user: req.session.user ? req.session.user.id : null, session: ModerationService.sessionKey(req) };
+
+            return Peer.findOrCreate({ socketId: socketId, channel: channelId },
+                                     _.extend({ socketId: socketId, channel: channelId, broadcaster: isBroadcaster }, capacity, joined, identity));
+          };
+
+          if (!joinClaims || !_.isNumber(joinClaims.maxConcurrent)) return findOrCreate();
+
+          // counting and creating can't be split up by someone else using the same token
+          return ReservationService.queue(channelId, function() {
+            return Peer.count({ channel: channelId, joinTokenId: joinClaims.id, socketId: { '!': socketId } })
+              .then(function(using) {
+                if (using >= joinClaims.maxConcurrent) {
+                  sails.log.info('PeerController#create: join token', joinClaims.id, 'is already used by', using, 'peers');
+                  return Promise.reject(res.forbidden('Too many viewers are using this join token'));
+                }
+
+                return findOrCreate();
+              });
+          });
+        })
 	.then(function(peer) {
 	  if (!peer) {
 	    return Promise.reject(new Error('findOrCreate could neither find or create, simultaneously'));
@@ -53,8 +140,8 @@ var PeerController = {
 	  return peer;
 	})
 	.then(function(peer) {
-	  // update broadcaster
-	  return Peer.update({ id: peer.id }, { broadcaster: isBroadcaster })
+	  // update broadcaster and whatever they told us about their capacity
+	  return Peer.update({ id: peer.id }, _.extend({ broadcaster: isBroadcaster }, capacity))
 	    .then(function(upd) {
 	      if (upd.length !== 1) {
 		return Promise.reject(new Error('DB error, hit race condition updating peer',
@@ -90,7 +177,16 @@ var PeerController = {
         // message everyone a little status update
         Channel.message(channel, { type: 'status', live: channel.isLive(), numPeers: channel.peers.length });
 
-	return res.json(peer);
+        // the token is only ever for the peer itself
+        var reply = _.extend(peer.toJSON(), { token: peer.token, reclaimed: reclaimed });
+
+        if (!reclaimed) return res.json(reply);
+
+        // carry on with the connections we had as if nothing happened
+        return PeerStoreService.resubscribe(req.socket, peer.id)
+          .then(function() {
+            return res.json(reply);
+          });
       })
       .error(function(err) {
         sails.log.error('PeerController#create: DB error', err);
@@ -105,11 +201,54 @@ var PeerController = {
       });
   },
 
-  destroy: function(req, res) {
-    if (!req.isSocket) {
-      return res.badRequest('Peer management only supported with sockets');
-    }
+  /*
+   * A peer lets us know it's about to go away
+   * Its children are handed off to new parents while it's still relaying to them
+   */
+  leave: function(req, res) {
+    var peerId = req.param('id');
+
+    var findPeer = Promise.method(function(peerId) {
+      return Peer.findOneById(peerId)
+        .populate('connections')
+	.then(function(peer) {
+	  if (!peer) {
+            return Promise.reject(res.notFound('Can not leave as a peer that does not exist'));
+	  }
+
+	  return peer;
+	});
+    });
+
+    var markLeaving = Promise.method(function(peer) {
+      return Peer.update({ id: peer.id }, { leaving: true })
+        .then(function() {
+          return peer;
+        });
+    });
 
+    findPeer(peerId)
+      .then(markLeaving)
+      .then(OverlayService.handoffChildren)
+      .then(function(assigned) {
+        sails.log.info('PeerController#leave: peer', peerId, 'is leaving, handed off', assigned.length, 'children');
+
+        return res.json({ status: 200, handoffs: assigned.length });
+      })
+      .error(function(err) {
+        sails.log.error('PeerController#leave: DB error', err);
+        return res.serverError('DB error');
+      })
+      .catch(Error, function(err) {
+        sails.log.error('PeerController#leave: Internal server error', err);
+        return res.serverError('Internal server error');
+      })
+      .catch(function(err) {
+        return res.serverError('Other internal server error');
+      });
+  },
+
+  destroy: function(req, res) {
     var socketId = req.socket.id;
     var peerId = req.param('id');
 
@@ -121,11 +260,6 @@ var PeerController = {
             return Promise.reject(res.notFound('Can not destroy peer that does not exist'));
 	  }
 
-	  if (peer.socketId !== socketId) {
-            sails.log.warn('Socket', socketId, 'requested to destroy peer', peerId, 'that is not owned by him');
-            return Promise.reject(res.forbidden('Can not destroy peers not your own'));
-	  }
-
 	  return peer;
 	});
     });
@@ -0,0 +1,19 @@
+/**
+ * RtcController.js
+ *
+ * @description :: Hands browsers what they need to set up their peer connections
+ * @docs        :: http://sailsjs.org/#!documentation/controllers
+ */
+
+var RtcController = {
+  // ICE servers from config/rtc.js, along with TURN credentials just for whoever's asking
+  config: function(req, res) {
+    var scope = RtcService.scope(req);
+
+    sails.log.verbose('Rtc#config: handing out ICE servers to', scope);
+
+    return res.json({ status: 200, config: RtcService.config(scope) });
+  }
+};
+
+module.exports = RtcController;
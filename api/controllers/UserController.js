@@ -10,10 +10,6 @@ var Promise = require('bluebird');
 
 var UserController = {
   index: function(req, res) {
-    if (!req.session.user) {
-      return res.redirect('back');
-    }
-
     var ownerId = req.session.user.id;
 
     Channel.find({ owner: ownerId })
@@ -29,7 +25,8 @@ var UserController = {
         } else {
           return res.view({
             channels: channels,
-            title: 'Profile Page'
+            title: 'Profile Page',
+            topologies: TopologyService.names()
           });
         }
       })
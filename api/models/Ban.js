@@ -0,0 +1,46 @@
+/**
+ * Ban.js
+ *
+ * @description :: Keeps a user or a session out of a channel, see ModerationService
+ *                 Sessions are only ever kept as a hash
+ * @docs        :: http://sailsjs.org/#!documentation/models
+ */
+
+var Ban = {
+  attributes: {
+    channel: {
+      model: 'channel',
+      required: true
+    },
+
+    // one or the other, whichever the moderator went after
+    user: {
+      model: 'user'
+    },
+
+    session: {
+      type: 'string'
+    },
+
+    reason: {
+      type: 'string',
+      maxLength: 500
+    },
+
+    bannedBy: {
+      model: 'user'
+    },
+
+    // null for a ban that never runs out
+    expiresAt: {
+      type: 'datetime',
+      defaultsTo: null
+    },
+
+    isActive: function isActive() {
+      return !this.expiresAt || new Date(this.expiresAt).getTime() > Date.now();
+    }
+  }
+};
+
+module.exports = Ban;
@@ -6,8 +6,52 @@
  */
 
 var _ = require('lodash');
+var Promise = require('bluebird');
+var bcrypt = Promise.promisifyAll(require('bcrypt-nodejs'));
+
+// what bcrypt gives back, channel.save() hands us the hash we already have
+var BCRYPT_HASH = /^\$2[ayb]?\$\d{2}\$[.\/A-Za-z0-9]{53}$/;
+
+// only password channels keep a password, and it's never kept as is
+var hashPasswordHook = function hashPassword(attrs, next) {
+  if (_.isString(attrs.password) && BCRYPT_HASH.test(attrs.password)) {
+    return next();
+  }
+
+  if (!_.isString(attrs.password) || attrs.password.length === 0) {
+    // switching away from a password channel, the old one shouldn't work if they switch back
+    if (_.has(attrs, 'visibility') && attrs.visibility !== 'password') attrs.password = null;
+    else delete attrs.password;
+
+    return next();
+  }
+
+  bcrypt.genSaltAsync(10)
+    .then(function(salt) {
+      return bcrypt.hashAsync(attrs.password, salt, null);
+    })
+    .then(function(hash) {
+      attrs.password = hash;
+      return next();
+    })
+    .error(function(err) {
+      return next(err);
+    })
+    .catch(function(err) {
+      return next(err);
+    });
+};
 
 var Channel = {
+  types: {
+    topology: function(name) {
+      return TopologyService.has(name);
+    }
+  },
+
+  beforeCreate: hashPasswordHook,
+  beforeUpdate: hashPasswordHook,
+
   attributes: {
     name: {
       type: 'string',
@@ -27,6 +71,50 @@ var Channel = {
       required: true
     },
 
+    // name of the TopologyService strategy used to shape this channel's overlay
+    topology: {
+      type: 'string',
+      topology: true,
+      defaultsTo: 'capacity'
+    },
+
+    // how many upstream connections each viewer keeps, one active and the rest standbys
+    parents: {
+      type: 'integer',
+      min: 1,
+      max: 4,
+      defaultsTo: 1
+    },
+
+    // who gets in, see ChannelAccessService
+    //   public   - anyone, and it's listed
+    //   unlisted - anyone with the link
+    //   private  - the owner, the users in allowedUsers and anyone with a role (see Membership)
+    //   password - anyone who knows the password
+    visibility: {
+      type: 'string',
+      in: ['public', 'unlisted', 'private', 'password'],
+      defaultsTo: 'public'
+    },
+
+    // user ids let into a private channel
+    allowedUsers: {
+      type: 'array',
+      defaultsTo: []
+    },
+
+    // hashed, only for password channels
+    password: {
+      type: 'string',
+      defaultsTo: null
+    },
+
+    // whether viewers without an account can chat, under a guest handle
+    guestChat: {
+      type: 'boolean',
+      defaultsTo: false
+    },
+
     peers: {
       collection: 'peer',
       via: 'id',
@@ -35,6 +123,11 @@ var Channel = {
 
     isLive: function isLive() {
       return _.some(this.peers, 'broadcaster');
+    },
+
+    // channels go out to anyone subscribed, nobody needs the password hash or who's allowed in
+    toJSON: function channelToJSON() {
+      return _.omit(this.toObject(), 'password', 'allowedUsers');
     }
   }
 };
@@ -0,0 +1,51 @@
+/**
+ * ChatMessage.js
+ *
+ * @description :: Something someone said in a channel's chat, see ChatService
+ * @docs        :: http://sailsjs.org/#!documentation/models
+ */
+
+var ChatMessage = {
+  attributes: {
+    channel: {
+      model: 'channel',
+      required: true
+    },
+
+    // who said it, unless it was a guest
+    user: {
+      model: 'user'
+    },
+
+    // what they go by in the chat, their name or the guest handle they picked
+    handle: {
+      type: 'string',
+      required: true,
+      maxLength: 40
+    },
+
+    guest: {
+      type: 'boolean',
+      defaultsTo: false
+    },
+
+    text: {
+      type: 'string',
+      required: true,
+      minLength: 1
+    },
+
+    // hash of the session it came from, so guests can be banned too (see ModerationService)
+    session: {
+      type: 'string'
+    },
+
+    toJSON: function chatMessageToJSON() {
+      var obj = this.toObject();
+      delete obj.session;
+      return obj;
+    }
+  }
+};
+
+module.exports = ChatMessage;
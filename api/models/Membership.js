@@ -0,0 +1,33 @@
+/**
+ * Membership.js
+ *
+ * @description :: A user's role on a channel, handed out by the channel's owner
+ *                 The owner is whoever owns the channel, they never need a membership of their own
+ *                 What each role lets you do is up to PermissionService
+ * @docs        :: http://sailsjs.org/#!documentation/models
+ */
+
+var Membership = {
+  attributes: {
+    channel: {
+      model: 'channel',
+      required: true
+    },
+
+    user: {
+      model: 'user',
+      required: true
+    },
+
+    //   broadcaster - can broadcast alongside the owner
+    //   moderator   - can keep viewers in line
+    //   viewer      - can watch, even when the channel is private
+    role: {
+      type: 'string',
+      in: ['broadcaster', 'moderator', 'viewer'],
+      required: true
+    }
+  }
+};
+
+module.exports = Membership;
@@ -5,14 +5,108 @@
  * @docs        :: http://sailsjs.org/#!documentation/models
  */
 
+var crypto = require('crypto');
 var _ = require('lodash');
 var t = require('t');
 var Promise = require('bluebird');
 
+// only the peer itself (or whoever let it in) should know these
+var PRIVATE_ATTRIBUTES = ['token', 'joinTokenId', 'viewer', 'session'];
+
+// plain object version of a peer, ready to be hung in a tree
+function toTreeNode(peer, connectionCriteria) {
+  // trees are sent out as is, so no tokens in them
+  var node = _.omit(peer.toObject(), PRIVATE_ATTRIBUTES);
+  var standbys = _.filter(node.connections, _.extend({ initiator: node.id, standby: true }, connectionCriteria));
+
+  node._seen = false;
+  node._standbyParents = _.pluck(standbys, 'endpoint');
+  node.children = [];
+
+  return node;
+}
+
+// breadth-first from every root at once, hanging each peer off its parent
+// peers can have standby parents as well as their active one
+// we walk active connections first so everyone hangs off the parent they're actually watching
+// standby connections only come into play for peers we can't otherwise reach
+// unless someone explicitly asked for one or the other
+function growTrees(roots, peers, connectionCriteria) {
+  var activeCriteria = connectionCriteria;
+  var standbyCriteria = null;
+
+  if (!_.has(connectionCriteria, 'standby')) {
+    activeCriteria = _.extend({ standby: false }, connectionCriteria);
+    standbyCriteria = _.extend({ standby: true }, connectionCriteria);
+  }
+
+  _.forEach(roots, function(root) {
+    root._seen = true;
+    root._depth = 0;
+    root._shadowConnections = _.filter(root.connections, { endpoint: root.id });
+  });
+
+  var Q = roots.slice();
+  var visited = [];
+
+  var adoptChildren = function(parent, criteria) {
+    var children = _.filter(peers, function(peer) {
+      sails.log.silly('Peer#buildTree checking peer', peer, 'for childship of parent');
+
+      if (peer._seen) return false;
+
+      peer._shadowConnections = _.filter(peer.connections, { endpoint: parent.id });
+      if (_.some(peer.connections, _.extend({ endpoint: parent.id }, criteria))) {
+        peer._seen = true;
+        return true;
+      }
+
+      return false;
+    });
+
+    _.forEach(children, function(child) {
+      sails.log.silly('Peer#buildTree: adding child to parent');
+      child._depth = parent._depth + 1;
+      Q.push(child);
+      parent.children.push(child);
+    });
+  };
+
+  do {
+    while (Q.length !== 0) {
+      var parent = Q.shift();
+
+      sails.log.silly('Peer#buildTree: got parent', parent);
+
+      adoptChildren(parent, activeCriteria);
+      visited.push(parent);
+    }
+
+    // anyone left hanging off a standby gets picked up, and then we carry on from them
+    if (standbyCriteria) {
+      _.forEach(visited, function(parent) {
+        adoptChildren(parent, standbyCriteria);
+      });
+    }
+  } while (Q.length !== 0);
+
+  return roots;
+}
+
 var Peer = {
-  adapter: 'memory',
+  connection: 'peerStore',
+
+  // ids go out in pubsub messages and on the page, so they're random rather than counting up
+  // otherwise anyone could guess their way through everyone else's peers
+  autoPK: false,
 
   attributes: {
+    id: {
+      type: 'string',
+      primaryKey: true,
+      unique: true
+    },
+
     socketId: {
       type: 'string',
       unique: true,
@@ -33,20 +127,92 @@ var Peer = {
       required: true
     },
 
+    // upload capacity in kbps, as reported by the peer
+    // null means the peer never told us
+    uploadCapacity: {
+      type: 'float',
+      min: 0,
+      defaultsTo: null
+    },
+
+    // whether the upload capacity was measured by the client or declared by the user
+    capacitySource: {
+      type: 'string',
+      in: ['measured', 'declared'],
+      defaultsTo: null
+    },
+
+    // reported round trip time to the server in ms, null if never reported
+    latency: {
+      type: 'float',
+      min: 0,
+      defaultsTo: null
+    },
+
+    // reported quality of this peer's link, 0 is terrible and 1 is perfect
+    quality: {
+      type: 'float',
+      min: 0,
+      max: 1,
+      defaultsTo: 1
+    },
+
+    // set once the peer has told us it's going away, nobody new is connected to it
+    leaving: {
+      type: 'boolean',
+      defaultsTo: false
+    },
+
+    // secret handed to the peer when it's created, so it can reclaim this record from a new socket
+    // never sent to anyone else, see toJSON
+    token: {
+      type: 'string',
+      unique: true
+    },
+
+    // set when the server lost track of this peer's socket, say after a restart
+    // the peer can reclaim its record until it's cleaned up, see PeerStoreService
+    disconnectedAt: {
+      type: 'datetime',
+      defaultsTo: null
+    },
+
+    // id of the join token this peer got in with, if any, so we know how many are using it
+    joinTokenId: {
+      type: 'string',
+      defaultsTo: null
+    },
+
+    // whoever handed out the join token said this is who's watching
+    viewer: {
+      type: 'string',
+      defaultsTo: null
+    },
+
+    // hash of the session the peer was created from, so moderators can ban it (see ModerationService)
+    session: {
+      type: 'string',
+      defaultsTo: null
+    },
+
     connections: {
       collection: 'peerconnection',
       via: 'id',
       dominant: true
     },
 
+    toJSON: function peerToJSON() {
+      return _.omit(this.toObject(), PRIVATE_ATTRIBUTES);
+    },
+
     canRebroadcast: function canRebroadcast() {
       // broadcasters can always rebroadcast
       // TODO is this really true? should broadcaster have a parent peerconnection to itself?
       // this would mean that if their camera goes down their self peerconnection goes down too
       if (this.broadcaster) return true;
 
-      // we only want established connections
-      var upstreamConnections = _.filter(this.connections, { state: 'established' });
+      // any established upstream will do, standbys are receiving the stream too
+      var upstreamConnections = this.getParentConnections({ state: 'established' });
 
       // TODO make this function do double duty, say return connections that can be used
       return upstreamConnections.length > 0;
@@ -60,6 +226,14 @@ var Peer = {
       return _.filter(this.connections, _.extend({ initiator: this.id }, connectionCriteria));
     },
 
+    getActiveParentConnection: function getActiveParent(connectionCriteria) {
+      return _.find(this.getParentConnections(_.extend({ standby: false }, connectionCriteria)));
+    },
+
+    getStandbyParentConnections: function getStandbyParents(connectionCriteria) {
+      return this.getParentConnections(_.extend({ standby: true }, connectionCriteria));
+    },
+
     buildTree: function buildTree(connectionCriteria, transform) {
       // someone only passed in a transform
       // make all right with the world
@@ -71,62 +245,19 @@ var Peer = {
       connectionCriteria = connectionCriteria || { state: 'established' };
 
       // this is the root
-      var root = this.toObject();
+      var root = toTreeNode(this, connectionCriteria);
       var rootChannelId = _.isObject(root.channel) ? root.channel.id : root.channel;
-      root._seen = true;
-      root.children = [];
-      root._shadowConnections = _.filter(root.connections, { endpoint: root.id });
-
-      var Q = [root];
-      var V = Object.create(null);
-      V[root.id] = true;
 
       // get all peers in this channel
-      return sails.models.peer.find()
+      return sails.models.peer.find({ channel: rootChannelId })
         .populate('connections')
         .then(function(peers) {
-          // TODO filter out peers not in this channel
-          // also convert to object, will maybe save lookup time when building tree
-
-          // also TODO, use kruskal's with peer connections - will allow disconnected trees
-          // also mess with _seen
-          return _.map(peers, function(peer) {
-            peer = peer.toObject();
-            peer._seen = false;
-            peer.children = [];
-            return peer;
+          peers = _.map(_.reject(peers, { id: root.id }), function(peer) {
+            return toTreeNode(peer, connectionCriteria);
           });
-        })
-        .then(function(peers) {
-          while (Q.length !== 0) {
-            var parent = Q.shift();
-
-            sails.log.silly('Peer#buildTree: got parent', parent);
-
-            var children = _.filter(peers, function(peer) {
-              sails.log.silly('Peer#buildTree checking peer', peer, 'for childship of parent');
-
-              var peerChannelId = _.isObject(peer.channel) ? peer.channel.id : peer.channel;
-
-              if (peer._seen || peer.id === root.id || peerChannelId !== rootChannelId) return false;
 
-              peer._shadowConnections = _.filter(peer.connections, { endpoint: parent.id });
-              if (_.some(peer.connections, _.extend({ endpoint: parent.id }, connectionCriteria))) {
-                peer._seen = true;
-                return true;
-              }
+          growTrees([root], peers, connectionCriteria);
 
-              return false;
-            });
-
-            _.forEach(children, function(child) {
-              sails.log.silly('Peer#buildTree: adding child to parent');
-              Q.push(child);
-              parent.children.push(child);
-            });
-          }
-        })
-        .then(function() {
           sails.log.verbose('Peer#buildTree: built tree', root);
           return root;
         });
@@ -134,30 +265,70 @@ var Peer = {
 
     chooseUpstream: function chooseUpstream(root) {
       // given a root peer in a tree, let's figure out which peer to connect to
-      // currently a very simple algorithm - attempt to fill each peer up with two children
+      // peers with lots of spare upload near the top of the tree with good links win
+      // see the capacity strategy in TopologyService for how they're weighed
+      return TopologyService.get('capacity').chooseUpstream(this, root);
+    }
+  },
 
-      var self = this;
+  // how many children the given peer (model or plain object) can relay to
+  getMaxChildren: function getMaxChildren(peer) {
+    var overlay = sails.config.overlay;
 
-      // we'll make up a list of candidates
-      var candidates = [];
+    if (!_.isNumber(peer.uploadCapacity)) {
+      return overlay.defaultChildren;
+    }
+
+    var slots = Math.floor(peer.uploadCapacity / overlay.streamBitrate);
+    return Math.max(0, Math.min(slots, overlay.maxChildren));
+  },
 
-      // do a breadth-first search to find ourselves a spot
-      t.bfs(root, function(node, par) {
-        console.info('chooseUpstream checking', node);
-        if (self.id !== node.id && node.children.length <= 1 && node._shadowConnections.length <= 3) {
-          sails.log.silly('Peer#chooseUpstream: found potential upstream', node);
-          candidates.push(node);
+  // every peer in the channel, arranged into trees
+  // roots are the trees hanging off broadcasters
+  // orphans are subtrees that have lost their way back to a broadcaster, every node in them is flagged _orphaned
+  buildForest: function buildForest(channelId, connectionCriteria) {
+    connectionCriteria = connectionCriteria || { state: 'established' };
+
+    return sails.models.peer.find({ channel: channelId })
+      .populate('connections')
+      .then(function(peers) {
+        peers = _.map(peers, function(peer) {
+          return toTreeNode(peer, connectionCriteria);
+        });
+
+        var roots = growTrees(_.filter(peers, 'broadcaster'), peers, connectionCriteria);
+        var orphans = [];
+        var unseen = _.reject(peers, '_seen');
+
+        while (unseen.length !== 0) {
+          var unseenIds = _.indexBy(unseen, 'id');
+
+          // an orphan subtree starts at whoever has no upstream among the other orphans
+          var orphanRoots = _.filter(unseen, function(peer) {
+            var upstreams = _.filter(peer.connections, _.extend({ initiator: peer.id }, connectionCriteria));
+
+            return !_.some(upstreams, function(conn) {
+              return _.has(unseenIds, conn.endpoint);
+            });
+          });
+
+          // everyone has an upstream, so it must be a loop - break it anywhere
+          if (orphanRoots.length === 0) {
+            orphanRoots = [unseen[0]];
+          }
+
+          orphans.push.apply(orphans, growTrees(orphanRoots, peers, connectionCriteria));
+          unseen = _.reject(unseen, '_seen');
         }
-      });
 
-      // we'll just choose some random candidate for now
-      //var candidate = _.shuffle(candidates)[0];
-      var candidate = candidates[0];
+        t.dfs(orphans, function(node) {
+          node._orphaned = true;
+        });
 
-      sails.log.info('Peer#chooseUpstream: chose', candidate, 'as the upstream for', this);
+        sails.log.verbose('Peer#buildForest: built forest with', roots.length, 'roots and', orphans.length, 'orphans');
 
-      return candidate;
-    }
+        return { roots: roots, orphans: orphans };
+      });
   },
 
   findConnectionsByPeerId: function findConnectionsByPeerId(peerId, connectionCriteria) {
@@ -176,6 +347,12 @@ var Peer = {
     return Peer.findConnectionsByPeerId(peerId, _.defaults({ initiator: peerId }, extraCriteria));
   },
 
+  beforeCreate: function beforePeerCreate(values, cb) {
+    values.id = crypto.randomBytes(16).toString('hex');
+    values.token = crypto.randomBytes(24).toString('hex');
+    cb();
+  },
+
   beforeUpdate: function beforePeerUpdate(values, cb) {
     sails.log.verbose('Peer#beforeUpdate: values', values);
     cb();
@@ -209,40 +386,12 @@ var Peer = {
         return peer;
       })
       .then(function(peer) {
-        // build tree with one being destroyed as root
-        // any state connection will be associated with this tree
-        // prevents any issues with peers in the middle of connecting
-        return peer.buildTree({});
+        // only this peer's own connections go
+        // its children are found new parents and everyone below them stays put
+        return OverlayService.reparentChildren(peer);
       })
-      .then(function(root) {
-        // TODO use ES6 sets?
-        // also be more efficient about how connections are added - lots of duplicates (one at each level)
-        var connectionIds = [];
-        t.dfs(root, function(node) {
-          // add all connection ids associated with this peer
-          var ids = _.pluck(node.connections, 'id');
-          sails.log.verbose('Peer#beforeDestroy: adding peer connections', ids);
-          connectionIds.push.apply(connectionIds, ids);
-        });
-
-        // get rid of dupes
-        // TODO probably realllly slow
-        connectionIds = _.uniq(connectionIds);
-
-        // seems to be a bug where if you try to delete with an empty array, it empties the whole collection
-        // this is obviously a bad thing
-        if (connectionIds.length > 0) {
-          return PeerConnection.destroy({ id: connectionIds });
-        } else {
-          return connectionIds;
-        }
-      })
-      .then(function(destroyedPeerConns) {
-        sails.log.info('Peer#beforeDestroy: destroyedPeerConns', destroyedPeerConns);
-
-        _.forEach(destroyedPeerConns, function(destroyedPeerConn) {
-          PeerConnection.publishDestroy(destroyedPeerConn.id, null, { previous: destroyedPeerConn });
-        });
+      .then(function(assigned) {
+        sails.log.info('Peer#beforeDestroy: reparented', assigned.length, 'children of peer', criteria.where.id);
       })
       .error(function(err) {
         return cb(err);
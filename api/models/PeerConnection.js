@@ -5,22 +5,32 @@
  * @docs	:: http://sailsjs.org/#!documentation/models
  */
 
+var crypto = require('crypto');
 var _ = require('lodash');
+var Promise = require('bluebird');
 
-const PeerConnectionStates = [ 'reserved', 'connecting',
-			       'init_established', 'recv_established',
-			       'established' ];
+// shared with the browser, so both sides agree on what's allowed
+var PeerConnectionStates = require('../../assets/js/PeerConnectionStates');
 
 var PeerConnection = {
-  adapter: 'memory',
+  connection: 'peerStore',
+
+  // random like the peers' ids (see Peer), a connection's id is all it takes to signal over it
+  autoPK: false,
 
   types: {
     state: function(state) {
-      return _.contains(PeerConnectionStates, state);
+      return PeerConnectionStates.isState(state);
     }
   },
 
   attributes: {
+    id: {
+      type: 'string',
+      primaryKey: true,
+      unique: true
+    },
+
     state: {
       type: 'string',
       state: true,
@@ -37,6 +47,13 @@ var PeerConnection = {
       model: 'peer',
       via: 'id',
       required: true
+    },
+
+    // standby connections are kept warm so the initiator can fail over to them
+    // without rebuilding anything if its active upstream disappears
+    standby: {
+      type: 'boolean',
+      defaultsTo: false
     }
 
   },
@@ -52,80 +69,59 @@ var PeerConnection = {
       .populate('connections');
   },
 
-  checkEstablished: function checkPeerConnectionEstablished(id, lastUpdate, numChecks) {
-    // we're checking again
-    numChecks += 1;
-
-    sails.log.info('checkEstablished before', id, lastUpdate.getTime(), numChecks);
-
-    sails.models.peerconnection.findOne({ id: id })
-      .populate('initiator')
-      .populate('endpoint')
-      .then(function(peerConn) {
-        // may be gone by the time we check
-        if (!peerConn) return null;
-
-        sails.log.info('checkEstablished', peerConn);
-        sails.log.info('isEqual', peerConn.updatedAt.getTime() === lastUpdate.getTime());
-
-        // in case this connection is stuck and not updating (continuously rescheduling)
-        if (numChecks > 3) {
-          sails.log.warn('PeerConnection#checkEstablished: connection', peerConn.id,
-                         'not established after', numChecks, 'checks, likely stuck - destroying it');
-          return sails.models.peerconnection.destroy({ id: peerConn.id });
-        }
-
-        // if there was no change, schedule another update instead
-         if (peerConn.updatedAt.getTime() === lastUpdate.getTime()) {
-          // check somewhere between 4s and 5s
-          sails.log.warn('PeerConnection#checkEstablished: connection', peerConn.id,
-                         'not updated since', lastUpdate, 'retrying...');
-
-          var checkTimeout = _.random(9000, 10000);
-          setTimeout(PeerConnection.checkEstablished, checkTimeout, peerConn.id, peerConn.updatedAt, numChecks);
-          return null;
-        }
+  /*
+   * Moves a connection to a new state, if that's a legal move from the state it's in
+   * Only updates the connection if it's still in the state we think it is, so two requests can't both move it
+   * Rejects with a PeerConnectionStates.InvalidTransitionError otherwise
+   */
+  transition: function transition(peerConn, newState) {
+    try {
+      PeerConnectionStates.assertTransition(peerConn.state, newState);
+    } catch (err) {
+      return Promise.reject(err);
+    }
 
-        // now we finally check that the connection is established
-        if (peerConn.state !== 'established') {
-          sails.log.warn('PeerConnection#checkEstablished: connection', peerConn.id, 'not established after', numChecks, 'checks - destroying it');
-          return sails.models.peerconnection.destroy({ id: peerConn.id });
+    return sails.models.peerconnection.update({ id: peerConn.id, state: peerConn.state }, { state: newState })
+      .then(function(updated) {
+        if (!updated || updated.length === 0) {
+          // it was either destroyed or moved on while we weren't looking
+          return Promise.reject(new PeerConnectionStates.InvalidTransitionError(peerConn.state + ' (no longer current)', newState));
         }
 
-        sails.log.info('PeerConnection#checkEstablished: connection', peerConn.id, 'verified to be established!');
-        return null;
-      })
-      .then(function(peerConn) {
-        if (!peerConn || peerConn.length === 0) return;
-
-        peerConn = peerConn[0];
-        sails.models.peerconnection.publishDestroy(peerConn.id, null, { previous: peerConn });
-      })
-      .error(function(err) {
-        sails.log.error('PeerConnection#checkEstablished: error', err);
-      })
-      .catch(function(err) {
-        sails.log.error('PeerConnection#checkEstablished: catch', err);
+        return updated[0];
       });
   },
 
+  beforeCreate: function beforePeerConnectionCreate(values, cb) {
+    values.id = crypto.randomBytes(16).toString('hex');
+    cb();
+  },
+
   afterCreate: function afterPeerConnectionCreate(values, cb) {
     sails.log.info('PeerConnection#create: values', values);
 
-    // check somewhere between 4s and 5s
-    var checkTimeout = _.random(9000, 10000);
-    setTimeout(PeerConnection.checkEstablished, checkTimeout, values.id, values.createdAt, 0);
+    // give it a while to get established, see WatchdogService
+    WatchdogService.watch(values);
 
     cb();
   },
 
   afterUpdate: function afterPeerConnectionUpdate(values, cb) {
     sails.log.verbose('PeerConnection#afterUpdate: values', values);
+
+    // new state, new timeout
+    WatchdogService.watch(values);
+
     cb();
   },
 
   afterDestroy: function afterPeerConnectionDestroy(values, cb) {
     sails.log.verbose('PeerConnection#afterDestroy: values', values);
+
+    _.forEach(_.compact([].concat(values)), function(destroyed) {
+      WatchdogService.unwatch(destroyed.id);
+    });
+
     cb();
   },
 
@@ -0,0 +1,36 @@
+/**
+ * isChannelOwner
+ *
+ * @module      :: Policy
+ * @description :: Only lets the owner of the channel in the `id` param through
+ *                 Goes after sessionAuth, nobody who isn't logged in owns anything
+ * @docs        :: http://sailsjs.org/#!documentation/policies
+ *
+ */
+module.exports = function(req, res, next) {
+  var channelId = req.param('id');
+
+  if (_.isUndefined(channelId)) {
+    return res.badRequest('Channel ID is required');
+  }
+
+  Channel.findOneById(channelId)
+    .then(function(channel) {
+      if (!channel) {
+        return res.notFound('Channel not found');
+      }
+
+      if (!PermissionService.isOwner(channel, req.session)) {
+        sails.log.warn('isChannelOwner: someone other than the owner tried to manage channel', channel.id);
+        return res.forbidden('Only the owner of this channel can do that');
+      }
+
+      return next();
+    })
+    .error(function(err) {
+      return res.serverError(err);
+    })
+    .catch(function() {
+      return res.serverError();
+    });
+};
@@ -0,0 +1,34 @@
+/**
+ * isPeerOwner
+ *
+ * @module      :: Policy
+ * @description :: Only lets the socket that owns the peer in the `id` param through
+ *                 Goes after isSocket, a peer belongs to the socket it was created (or reclaimed) on
+ * @docs        :: http://sailsjs.org/#!documentation/policies
+ *
+ */
+module.exports = function(req, res, next) {
+  var peerId = req.param('id');
+  var socketId = req.socket && req.socket.id;
+
+  Peer.findOneById(peerId)
+    .then(function(peer) {
+      if (!peer) {
+        sails.log.warn('isPeerOwner: socket', socketId, 'tried to manage nonexistent peer', peerId);
+        return res.notFound('Peer does not exist');
+      }
+
+      if (peer.socketId !== socketId) {
+        sails.log.warn('isPeerOwner: socket', socketId, 'tried to manage peer', peerId, 'that is not its own');
+        return res.forbidden('Can not manage peers not your own');
+      }
+
+      return next();
+    })
+    .error(function(err) {
+      return res.serverError(err);
+    })
+    .catch(function() {
+      return res.serverError();
+    });
+};
@@ -0,0 +1,17 @@
+/**
+ * isSocket
+ *
+ * @module      :: Policy
+ * @description :: Only lets requests made over a socket through
+ *                 Peers are tied to the socket that made them, so managing them over plain http makes no sense
+ * @docs        :: http://sailsjs.org/#!documentation/policies
+ *
+ */
+module.exports = function(req, res, next) {
+
+  if (req.isSocket) {
+    return next();
+  }
+
+  return res.badRequest('Only supported with sockets');
+};
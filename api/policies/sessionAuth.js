@@ -2,8 +2,9 @@
  * sessionAuth
  *
  * @module      :: Policy
- * @description :: Simple policy to allow any authenticated user
- *                 Assumes that your login action in one of your controllers sets `req.session.authenticated = true;`
+ * @description :: Only lets logged in users through
+ *                 Browsers that aren't are sent back where they came from, everything else gets a 403
+ *                 Logging in (AuthController#login) or signing up (UserController#create) puts the user on the session
  * @docs        :: http://sailsjs.org/#!documentation/policies
  *
  */
@@ -11,11 +12,16 @@ module.exports = function(req, res, next) {
 
   // User is allowed, proceed to the next policy, 
   // or if this is the last policy, the controller
-  if (req.session.authenticated) {
+  if (req.session && req.session.user) {
     return next();
   }
 
+  // someone browsing is sent back to where they were, the login form's there
+  if (!req.wantsJSON && !req.isSocket) {
+    return res.redirect('back');
+  }
+
   // User is not allowed
   // (default res.forbidden() behavior can be overridden in `config/403.js`)
-  return res.forbidden('You are not permitted to perform this action.');
+  return res.forbidden('You need to be logged in to do that.');
 };
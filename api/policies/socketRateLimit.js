@@ -0,0 +1,24 @@
+/**
+ * socketRateLimit
+ *
+ * @module      :: Policy
+ * @description :: Gives every socket a budget per action, see config/socketguard.js
+ *                 Requests over plain http aren't counted, whatever they're after is checked further along
+ * @docs        :: http://sailsjs.org/#!documentation/policies
+ *
+ */
+module.exports = function(req, res, next) {
+  if (!req.isSocket || !req.socket) {
+    return next();
+  }
+
+  var action = req.options.controller + '/' + req.options.action;
+  var retryAfter = SocketGuardService.take(req.socket.id, action);
+
+  if (retryAfter === 0) {
+    return next();
+  }
+
+  sails.log.verbose('socketRateLimit: socket', req.socket.id, 'is out of budget for', action, 'for another', retryAfter, 'ms');
+  return res.json({ status: 429, message: 'Slow down', retryAfter: retryAfter }, 429);
+};
@@ -0,0 +1,115 @@
+/**
+ * ChannelAccessService.js
+ *
+ * @description :: Who gets to see, subscribe to and watch a channel, going by its visibility (see Channel)
+ *                 Password channels hand out a grant that's kept in the session once the password's been entered,
+ *                 the grant is tied to the password so changing it locks everyone out again
+ *                 Join tokens from the owner, or a role on the channel, get viewers in whatever the visibility
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var crypto = require('crypto');
+var _ = require('lodash');
+var Promise = require('bluebird');
+var bcrypt = Promise.promisifyAll(require('bcrypt-nodejs'));
+
+// what goes in the session, anyone who can see the session doesn't get the hash out of it
+function grantFor(channel) {
+  return crypto.createHash('sha1').update(String(channel.password)).digest('hex');
+}
+
+var ChannelAccessService = {
+  visibility: function visibility(channel) {
+    return channel.visibility || 'public';
+  },
+
+
+  // only public channels show up in the channel list
+  isListed: function isListed(channel) {
+    return ChannelAccessService.visibility(channel) === 'public';
+  },
+
+  /*
+   * Whether whoever this session belongs to can see the channel
+   * The owner always can, and so can anyone with a join token for it (see JoinTokenService)
+   * or a role on it, if you've got it from PermissionService
+   */
+  canAccess: function canAccess(channel, session, joinToken, role) {
+    if (PermissionService.isOwner(channel, session) || PermissionService.allows(role, 'watch')) return true;
+    if (joinToken && JoinTokenService.verify(joinToken, channel.id)) return true;
+
+    switch (ChannelAccessService.visibility(channel)) {
+    case 'public':
+    case 'unlisted':
+      return true;
+
+    case 'private':
+      return !!(session && session.user) && _.some(channel.allowedUsers, function(userId) {
+        return String(userId) === String(session.user.id);
+      });
+
+    case 'password':
+      return !!(session && session.channelGrants && channel.password) &&
+        session.channelGrants[channel.id] === grantFor(channel);
+
+    default:
+      return false;
+    }
+  },
+
+  // same as canAccess, but looks up the session's role itself
+  check: function check(channel, session, joinToken) {
+    return PermissionService.roleOf(channel, session)
+      .then(function(role) {
+        return ChannelAccessService.canAccess(channel, session, joinToken, role);
+      });
+  },
+
+  /*
+   * Checks the password for a password channel, and grants the session access if it's right
+   * Resolves to whether it was
+   */
+  unlock: function unlock(channel, session, password) {
+    if (ChannelAccessService.visibility(channel) !== 'password' || !channel.password || !_.isString(password)) {
+      return Promise.resolve(false);
+    }
+
+    return bcrypt.compareAsync(password, channel.password)
+      .then(function(match) {
+        if (!match) return false;
+
+        session.channelGrants = session.channelGrants || {};
+        session.channelGrants[channel.id] = grantFor(channel);
+
+        return true;
+      });
+  },
+
+  // user ids for whatever the owner typed into the allow list, emails or ids separated by commas
+  resolveUsers: function resolveUsers(list) {
+    var entries = _.compact(_.map(_.isArray(list) ? list : String(list || '').split(','), function(entry) {
+      return String(entry).trim();
+    }));
+
+    if (entries.length === 0) return Promise.resolve([]);
+
+    var emails = _.filter(entries, function(entry) { return entry.indexOf('@') !== -1; });
+    var ids = _.difference(entries, emails);
+
+    return Promise.cast(emails.length ? User.find({ email: emails }) : [])
+      .then(function(users) {
+        var found = _.pluck(users, 'email');
+        var missing = _.difference(emails, found);
+
+        if (missing.length) {
+          return Promise.reject(new Error('No users with the emails ' + missing.join(', ')));
+        }
+
+        return _.uniq(_.pluck(users, 'id').concat(_.map(ids, function(id) {
+          return _.isNaN(parseInt(id, 10)) ? id : parseInt(id, 10);
+        })));
+      });
+  }
+};
+
+module.exports = ChannelAccessService;
@@ -0,0 +1,89 @@
+/**
+ * ChatService.js
+ *
+ * @description :: A chat alongside each channel's stream (see config/chat.js)
+ *                 Messages go out over the channel's pubsub as `{ type: 'chat' }` messages, and
+ *                 deleting one sends out `{ type: 'chatDeleted' }` so everyone takes it down
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var crypto = require('crypto');
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+// what a guest can call themselves
+var GUEST_HANDLE = /^[A-Za-z0-9_.\- ]{2,24}$/;
+
+var chatLimiter = null;
+
+var ChatService = {
+  // one bucket per chatter, made the first time anyone chats so the config is there
+  limiter: function limiter() {
+    if (!chatLimiter) chatLimiter = RateLimiter.create(sails.config.chat.rateLimit);
+    return chatLimiter;
+  },
+
+  // who a request is chatting as, for rate limiting
+  chatterKey: function chatterKey(req) {
+    if (req.session && req.session.user) return 'user:' + req.session.user.id;
+    return 'session:' + (ModerationService.sessionKey(req) || req.socket && req.socket.id);
+  },
+
+  /*
+   * What the request gets to chat as on this channel, or null if it can't
+   * Users go by their name, guests (when the channel lets them) by `requested` if it's any good,
+   * otherwise whatever they had before, otherwise a made up one. Guest handles are kept in the session
+   */
+  author: function author(channel, req, requested) {
+    if (req.session && req.session.user) {
+      return { user: req.session.user.id, handle: req.session.user.name, guest: false };
+    }
+
+    if (!channel.guestChat) return null;
+
+    req.session.chatHandles = req.session.chatHandles || {};
+
+    if (_.isString(requested) && GUEST_HANDLE.test(requested.trim())) {
+      req.session.chatHandles[channel.id] = requested.trim();
+    }
+
+    if (!req.session.chatHandles[channel.id]) {
+      req.session.chatHandles[channel.id] = 'guest-' + crypto.randomBytes(2).toString('hex');
+    }
+
+    return { user: null, handle: req.session.chatHandles[channel.id], guest: true };
+  },
+
+  // resolves to the new message, once it's gone out to everyone on the channel
+  post: function post(channel, author, text, session) {
+    return ChatMessage.create(_.extend({ channel: channel.id, text: text, session: session }, author))
+      .then(function(message) {
+        Channel.message(channel, { type: 'chat', message: message.toJSON() });
+        return message;
+      });
+  },
+
+  // the last `limit` messages from before `before` (a date, or now if there isn't one), oldest first
+  history: function history(channel, limit, before) {
+    var criteria = { channel: channel.id };
+    if (before) criteria.createdAt = { '<': new Date(before) };
+
+    return ChatMessage.find({ where: criteria, sort: 'createdAt DESC', limit: limit })
+      .then(function(messages) {
+        return _.invoke(messages.reverse(), 'toJSON');
+      });
+  },
+
+  // resolves to whether there was anything to delete
+  remove: function remove(channel, messageId) {
+    return ChatMessage.destroy({ id: messageId, channel: channel.id })
+      .then(function(destroyed) {
+        if (destroyed.length === 0) return false;
+
+        Channel.message(channel, { type: 'chatDeleted', id: destroyed[0].id });
+        return true;
+      });
+  }
+};
+
+module.exports = ChatService;
@@ -0,0 +1,282 @@
+/**
+ * ClusterService.js
+ *
+ * @description :: Lets several instances serve the same channels (see config/cluster.js)
+ *                 Anything published to sockets on one instance is relayed over a bus to the others,
+ *                 which publish it to their own sockets, so messages reach peers whichever instance they're on
+ *                 Also hands out locks that hold across instances, and picks one instance to be the leader
+ *                 for jobs that should only run once (like the rebalancer)
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var crypto = require('crypto');
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+// every instance in this process on the local transport hangs off this
+var localBus = new EventEmitter();
+localBus.setMaxListeners(0);
+
+// lock name -> promise for whoever has it last, for instances within this process
+var localLocks = Object.create(null);
+
+// what sails.sockets did before we got to it
+var originals = null;
+
+var transport = null;
+
+// adapters that keep what they store to the one process, every instance would have an overlay of its own
+// (sails-disk does write to a file, but every process keeps its own copy in memory and overwrites the others)
+var PROCESS_LOCAL_ADAPTERS = ['sails-memory', 'sails-disk'];
+
+// waits its turn for a lock, resolves to a function that releases it
+function localLock(name) {
+  var previous = localLocks[name] || Promise.resolve();
+  var release;
+
+  var held = new Promise(function(resolve) {
+    release = resolve;
+  });
+
+  var mine = previous.then(function() {
+    return held;
+  });
+
+  localLocks[name] = mine;
+
+  mine.then(function() {
+    if (localLocks[name] === mine) delete localLocks[name];
+  });
+
+  return previous.then(function() {
+    return release;
+  });
+}
+
+var transports = {
+  // instances in the same process, messages are copied as if they'd gone over the wire
+  local: function local(instanceId) {
+    var listener;
+
+    return {
+      send: function send(message) {
+        localBus.emit('message', JSON.parse(JSON.stringify(message)));
+      },
+
+      onMessage: function onMessage(handler) {
+        listener = function(message) {
+          if (message.from !== instanceId) handler(message);
+        };
+
+        localBus.on('message', listener);
+      },
+
+      lock: localLock,
+
+      close: function close() {
+        localBus.removeListener('message', listener);
+      }
+    };
+  },
+
+  // workers forked by cluster.js, the master relays messages and keeps track of locks
+  ipc: function ipc(instanceId) {
+    var listener;
+    var nextLockId = 0;
+
+    // lock id -> resolve, for locks we've asked the master for
+    var waiting = Object.create(null);
+
+    var send = function send(message) {
+      process.send(message);
+    };
+
+    return {
+      send: send,
+
+      onMessage: function onMessage(handler) {
+        listener = function(message) {
+          if (!message || message.p2pcast !== 'cluster' || message.from === instanceId) return;
+
+          if (message.type === 'locked') {
+            if (waiting[message.payload.lockId]) waiting[message.payload.lockId]();
+            return;
+          }
+
+          handler(message);
+        };
+
+        process.on('message', listener);
+      },
+
+      lock: function lock(name) {
+        var lockId = instanceId + ':' + (nextLockId++);
+
+        var release = function() {
+          delete waiting[lockId];
+          send({ p2pcast: 'cluster', from: instanceId, type: 'unlock', payload: { name: name, lockId: lockId } });
+        };
+
+        return new Promise(function(resolve) {
+          waiting[lockId] = function() {
+            resolve(release);
+          };
+
+          send({ p2pcast: 'cluster', from: instanceId, type: 'lock', payload: { name: name, lockId: lockId } });
+        })
+          .timeout(sails.config.cluster.lockTimeout)
+          .catch(Promise.TimeoutError, function(err) {
+            // give up our place in line, or the lock if it came through just now
+            release();
+            return Promise.reject(new Error('Timed out waiting on cluster lock ' + name));
+          });
+      },
+
+      close: function close() {
+        process.removeListener('message', listener);
+      }
+    };
+  }
+};
+
+var ClusterService = {
+  instanceId: process.pid + '-' + crypto.randomBytes(4).toString('hex'),
+
+  transports: transports,
+
+  isEnabled: function isEnabled() {
+    return !!transport;
+  },
+
+  // only the leader runs jobs that should happen once for the whole cluster
+  isLeader: function isLeader() {
+    if (!transport || sails.config.cluster.transport !== 'ipc') return true;
+    return process.env.P2PCAST_CLUSTER_LEADER === 'true';
+  },
+
+  // whether whatever was in the peer store should be picked up on startup
+  // an instance joining a cluster that's already going would otherwise disconnect everyone
+  shouldReconcile: function shouldReconcile() {
+    if (!transport || sails.config.cluster.transport !== 'ipc') return true;
+    return process.env.P2PCAST_CLUSTER_RECONCILE === 'true';
+  },
+
+  /*
+   * Whether every instance sees the same peers and connections
+   * A peer that joined on one instance has to be there to be matched with on all the others
+   * Instances on the local transport are all in this process, so even the in-memory store will do
+   */
+  hasSharedPeerStore: function hasSharedPeerStore() {
+    if (sails.config.cluster.transport === 'local') return true;
+
+    var store = sails.config.connections.peerStore;
+    return !!store && !_.contains(PROCESS_LOCAL_ADAPTERS, store.adapter);
+  },
+
+  start: function start() {
+    var config = sails.config.cluster;
+
+    if (!config.enabled || transport) return;
+
+    if (!_.has(transports, config.transport)) {
+      throw new Error('Unknown cluster transport ' + config.transport);
+    }
+
+    if (!ClusterService.hasSharedPeerStore()) {
+      sails.log.error('ClusterService#start: the peer store uses', sails.config.connections.peerStore.adapter,
+                      'which every instance would keep to itself, see config/cluster.js');
+      throw new Error('Clustering needs a peer store every instance can reach');
+    }
+
+    sails.log.info('ClusterService#start: instance', ClusterService.instanceId, 'joining cluster over', config.transport,
+                   ClusterService.isLeader() ? 'as leader' : '');
+
+    transport = transports[config.transport](ClusterService.instanceId);
+    transport.onMessage(ClusterService.receive);
+
+    originals = { broadcast: sails.sockets.broadcast, emit: sails.sockets.emit };
+
+    // everything models publish goes through here, so this covers message, publishUpdate and the rest
+    sails.sockets.broadcast = function broadcast(roomName, eventName, data, socketToOmit) {
+      originals.broadcast.apply(sails.sockets, arguments);
+      ClusterService.publish('broadcast', { roomName: roomName, eventName: eventName, data: data });
+    };
+
+    // sockets we don't have are on some other instance
+    sails.sockets.emit = function emit(socketIds, eventName, data) {
+      var split = _.groupBy([].concat(socketIds), function(socketId) {
+        return _.has(sails.io.sockets.sockets, socketId) ? 'local' : 'remote';
+      });
+
+      if (split.local) originals.emit.call(sails.sockets, split.local, eventName, data);
+      if (split.remote) ClusterService.publish('emit', { socketIds: split.remote, eventName: eventName, data: data });
+    };
+  },
+
+  stop: function stop() {
+    if (!transport) return;
+
+    transport.close();
+    transport = null;
+
+    sails.sockets.broadcast = originals.broadcast;
+    sails.sockets.emit = originals.emit;
+    originals = null;
+  },
+
+  publish: function publish(type, payload) {
+    if (!transport) return;
+
+    transport.send({ p2pcast: 'cluster', from: ClusterService.instanceId, type: type, payload: payload });
+  },
+
+  // something another instance published
+  receive: function receive(message) {
+    var payload = message.payload;
+
+    sails.log.silly('ClusterService#receive: got', message.type, 'from instance', message.from);
+
+    switch (message.type) {
+    case 'broadcast':
+      originals.broadcast.call(sails.sockets, payload.roomName, payload.eventName, payload.data);
+      break;
+
+    case 'emit':
+      var local = _.filter(payload.socketIds, function(socketId) {
+        return _.has(sails.io.sockets.sockets, socketId);
+      });
+
+      if (local.length) originals.emit.call(sails.sockets, local, payload.eventName, payload.data);
+      break;
+
+    case 'assign':
+      OverlayService.rememberAssignment(payload.peerId, payload.assignment);
+      break;
+
+    case 'forget':
+      OverlayService.forgetAssignment(payload.peerId);
+      break;
+
+    default:
+      sails.log.warn('ClusterService#receive: unknown message', message.type, 'from instance', message.from);
+      break;
+    }
+  },
+
+  /*
+   * Runs `task` while holding the named lock, across every instance in the cluster
+   * Without a cluster there's nobody else to worry about, so it just runs
+   */
+  withLock: function withLock(name, task) {
+    if (!transport) return Promise.cast(task());
+
+    return transport.lock(name)
+      .then(function(release) {
+        return Promise.cast(task())
+          .finally(release);
+      });
+  }
+};
+
+module.exports = ClusterService;
@@ -0,0 +1,85 @@
+/**
+ * JoinTokenService.js
+ *
+ * @description :: Signed, expiring tokens that let a viewer into one channel (see config/jointokens.js)
+ *                 A token is its claims as url safe base64 JSON, a dot, and an HMAC-SHA256 of that, nothing is stored
+ *                 Claims are the channel, when it expires (in seconds), an optional viewer id from whoever
+ *                 asked for it, an optional cap on how many peers can use it at once, and an id for counting those
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var crypto = require('crypto');
+var _ = require('lodash');
+
+function secret() {
+  return sails.config.joinTokens.secret || sails.config.session.secret;
+}
+
+// tokens end up in urls, so no + / or =
+function urlSafe(base64) {
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function sign(encoded) {
+  return urlSafe(crypto.createHmac('sha256', secret()).update(encoded).digest('base64'));
+}
+
+// no bailing out at the first difference, that tells an attacker how much they got right
+function sameString(a, b) {
+  if (a.length !== b.length) return false;
+
+  var diff = 0;
+  for (var i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+
+  return diff === 0;
+}
+
+var JoinTokenService = {
+  /*
+   * A token for `channelId`, good for `ttl` seconds
+   * `options` can have a `viewer` id and `maxConcurrent`, how many peers can be using it at once
+   */
+  issue: function issue(channelId, ttl, options) {
+    options = options || {};
+
+    var claims = {
+      id: crypto.randomBytes(8).toString('hex'),
+      channel: channelId,
+      expires: Math.floor(Date.now() / 1000) + ttl
+    };
+
+    if (!_.isUndefined(options.viewer) && options.viewer !== null) claims.viewer = String(options.viewer);
+    if (_.isNumber(options.maxConcurrent)) claims.maxConcurrent = options.maxConcurrent;
+
+    var encoded = urlSafe(new Buffer(JSON.stringify(claims)).toString('base64'));
+
+    return { token: encoded + '.' + sign(encoded), claims: claims };
+  },
+
+  /*
+   * The claims in `token` if it's ours, hasn't expired and is for `channelId`, otherwise null
+   */
+  verify: function verify(token, channelId) {
+    if (!_.isString(token)) return null;
+
+    var parts = token.split('.');
+    if (parts.length !== 2 || !sameString(sign(parts[0]), parts[1])) return null;
+
+    var claims;
+
+    try {
+      claims = JSON.parse(new Buffer(parts[0], 'base64').toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+
+    if (!_.isObject(claims) || String(claims.channel) !== String(channelId)) return null;
+    if (!_.isNumber(claims.expires) || claims.expires * 1000 <= Date.now()) return null;
+
+    return claims;
+  }
+};
+
+module.exports = JoinTokenService;
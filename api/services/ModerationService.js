@@ -0,0 +1,121 @@
+/**
+ * ModerationService.js
+ *
+ * @description :: Kicks peers out of channels and keeps banned users and sessions from coming back
+ *                 A kicked peer is told why on the `channel` event, then destroyed like any other peer that left,
+ *                 so its children are reparented. Bans are checked whenever someone subscribes or becomes a peer
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var crypto = require('crypto');
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+var ModerationService = {
+  /*
+   * What a request's session is banned by, a hash so the session id itself is never stored
+   * Sockets keep their session id on the handshake
+   */
+  sessionKey: function sessionKey(req) {
+    var sessionId = req.sessionID || (req.socket && req.socket.handshake && req.socket.handshake.sessionID);
+    if (!sessionId) return null;
+
+    return crypto.createHash('sha1').update(String(sessionId)).digest('hex');
+  },
+
+  // whether a moderator can go after this peer at all, the owner and broadcasters are off limits
+  canModerate: function canModerate(channel, peer) {
+    if (String(peer.channel) !== String(channel.id) || peer.broadcaster) return false;
+
+    var ownerId = _.isObject(channel.owner) ? channel.owner.id : channel.owner;
+    return !peer.user || String(_.isObject(peer.user) ? peer.user.id : peer.user) !== String(ownerId);
+  },
+
+  /*
+   * Tells the peer why it's being kicked, then destroys it
+   * Its children are found new parents as the peer goes (see Peer.beforeDestroy)
+   */
+  kick: function kick(channel, peer, reason, banned) {
+    sails.log.info('ModerationService#kick: kicking peer', peer.id, 'from channel', channel.id, reason ? 'because ' + reason : '');
+
+    if (peer.socketId && !peer.disconnectedAt) {
+      sails.sockets.emit(peer.socketId, 'channel', {
+        id: channel.id,
+        verb: 'messaged',
+        data: { type: 'kicked', reason: reason || null, banned: !!banned }
+      });
+
+      // and it hears nothing more about the channel, if we're the ones with its socket
+      if (_.has(sails.io.sockets.sockets, peer.socketId)) {
+        Channel.unsubscribe(sails.io.sockets.sockets[peer.socketId], channel);
+      }
+    }
+
+    return PeerStoreService.destroyPeer(peer);
+  },
+
+  /*
+   * Bans a user or a session from the channel, and kicks any of their peers that are still around
+   * `target` has either a `user` id or a `session` key, `options` can have a `reason`, who it's `by`
+   * and a `duration` in ms for bans that run out
+   */
+  ban: function ban(channel, target, options) {
+    options = options || {};
+
+    if (!target.user && !target.session) {
+      return Promise.reject(new Error('Need a user or a session to ban'));
+    }
+
+    var values = {
+      channel: channel.id,
+      reason: options.reason || null,
+      bannedBy: options.by || null,
+      expiresAt: options.duration ? new Date(Date.now() + options.duration) : null
+    };
+
+    if (target.user) values.user = target.user;
+    else values.session = target.session;
+
+    return Ban.create(values)
+      .then(function(ban) {
+        sails.log.info('ModerationService#ban: banned', target.user ? 'user ' + target.user : 'a session', 'from channel', channel.id);
+
+        var criteria = target.user ? { channel: channel.id, user: target.user } : { channel: channel.id, session: target.session };
+
+        return Peer.find(criteria)
+          .then(function(peers) {
+            return Promise.all(_.map(_.filter(peers, _.partial(ModerationService.canModerate, channel)), function(peer) {
+              return ModerationService.kick(channel, peer, options.reason, true);
+            }));
+          })
+          .then(function() {
+            return ban;
+          });
+      });
+  },
+
+  unban: function unban(channel, banId) {
+    return Ban.destroy({ id: banId, channel: channel.id });
+  },
+
+  // resolves to the ban keeping whoever made this request out of the channel, or null if there isn't one
+  findBan: function findBan(channel, req) {
+    var userId = req.session && req.session.user ? req.session.user.id : null;
+    var session = ModerationService.sessionKey(req);
+
+    var or = [];
+    if (userId) or.push({ user: userId });
+    if (session) or.push({ session: session });
+
+    if (or.length === 0) return Promise.resolve(null);
+
+    return Ban.find({ channel: channel.id, or: or })
+      .then(function(bans) {
+        return _.find(bans, function(ban) {
+          return ban.isActive();
+        }) || null;
+      });
+  }
+};
+
+module.exports = ModerationService;
@@ -0,0 +1,222 @@
+/**
+ * OverlayService.js
+ *
+ * @description :: Keeps the overlay in one piece as peers come and go
+ *                 When a peer leaves, its children are found new parents and told to reconnect to them,
+ *                 while everything further downstream keeps the connections it already has
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var _ = require('lodash');
+var t = require('t');
+var Promise = require('bluebird');
+
+// upstreams the server has picked for peers that are about to reconnect
+// peer id -> { upstream: peer id, expires: timestamp }
+var assignments = Object.create(null);
+
+var OverlayService = {
+  // how long a peer has to come back and claim the upstream we picked for it
+  assignmentTimeout: 30000,
+
+  // the peer may well come back on another instance, so every instance hears about it
+  assign: function assign(peerId, upstreamId) {
+    var assignment = { upstream: upstreamId, expires: Date.now() + OverlayService.assignmentTimeout };
+
+    OverlayService.rememberAssignment(peerId, assignment);
+    ClusterService.publish('assign', { peerId: peerId, assignment: assignment });
+  },
+
+  // the upstream picked for this peer, if there is one, which is then forgotten
+  takeAssignment: function takeAssignment(peerId) {
+    var assignment = assignments[peerId];
+
+    OverlayService.forgetAssignment(peerId);
+    ClusterService.publish('forget', { peerId: peerId });
+
+    if (!assignment || assignment.expires < Date.now()) return null;
+
+    return assignment.upstream;
+  },
+
+  rememberAssignment: function rememberAssignment(peerId, assignment) {
+    assignments[peerId] = assignment;
+  },
+
+  forgetAssignment: function forgetAssignment(peerId) {
+    delete assignments[peerId];
+  },
+
+  // sends a message to the socket of a single peer, outside of any pubsub room
+  notifyPeer: function notifyPeer(peer, verb, data) {
+    sails.sockets.emit(peer.socketId, 'peer', { verb: verb, id: peer.id, data: data });
+  },
+
+  destroyConnections: function destroyConnections(connectionIds) {
+    // seems to be a bug where if you try to delete with an empty array, it empties the whole collection
+    // this is obviously a bad thing
+    if (connectionIds.length === 0) return Promise.resolve([]);
+
+    return PeerConnection.destroy({ id: connectionIds });
+  },
+
+  publishDestroyed: function publishDestroyed(destroyedPeerConns) {
+    _.forEach(destroyedPeerConns, function(destroyedPeerConn) {
+      PeerConnection.publishDestroy(destroyedPeerConn.id, null, { previous: destroyedPeerConn });
+    });
+  },
+
+  /*
+   * Finds new parents for everyone directly downstream of `peer`, which is on its way out
+   * Only the departing peer's own connections are destroyed, the rest of its subtree is left alone
+   * If a child can't be placed anywhere, it gives up its own children and they are placed instead
+   * Resolves to the assignments made, as { peer, upstream } pairs
+   */
+  reparentChildren: function reparentChildren(peer) {
+    var childIds = _.pluck(peer.getChildrenConnections({ standby: false }), 'initiator');
+    var connectionIds = _.pluck(peer.connections, 'id');
+    var destroyed = [];
+
+    return OverlayService.destroyConnections(connectionIds)
+      .then(function(destroyedPeerConns) {
+        destroyed = destroyedPeerConns;
+        return Peer.buildForest(peer.channel);
+      })
+      .then(function(forest) {
+        // the departing peer can't take anyone, even if it was a broadcaster
+        forest.roots = _.reject(forest.roots, { id: peer.id });
+
+        // children with a warm standby are still hanging off it, so they won't be orphans
+        var queue = _.filter(forest.orphans, function(orphan) {
+          return _.contains(childIds, orphan.id);
+        });
+
+        return OverlayService.placeOrphans(peer.channel, forest, queue);
+      })
+      .then(function(placed) {
+        // let the children know before they find out their upstream is gone
+        // so they go straight to their new parent instead of starting from scratch
+        _.forEach(placed.assigned, function(assignment) {
+          OverlayService.notifyPeer(assignment.peer, 'reparent', { upstream: assignment.upstream.id, reason: 'upstream_left' });
+        });
+
+        OverlayService.publishDestroyed(destroyed.concat(placed.destroyed));
+
+        return placed.assigned;
+      });
+  },
+
+  /*
+   * Finds new parents for everyone directly downstream of `peer` while it's still around
+   * Children are told to connect to their new parent and only then drop the connection to `peer`
+   * Children we can't place are left alone, they're taken care of when `peer` is destroyed
+   * Resolves to the assignments made, as { peer, upstream } pairs
+   */
+  handoffChildren: function handoffChildren(peer) {
+    var childConnections = _.indexBy(peer.getChildrenConnections({ standby: false }), 'initiator');
+
+    return Peer.buildForest(peer.channel)
+      .then(function(forest) {
+        forest.roots = _.reject(forest.roots, { id: peer.id });
+
+        // take the children out of the tree, so they're placed as if they were orphans
+        var queue = [];
+
+        t.dfs(forest.roots.concat(forest.orphans), function(node) {
+          if (node.id !== peer.id) return;
+
+          queue = _.filter(node.children, function(child) {
+            return _.has(childConnections, child.id);
+          });
+
+          node.children = [];
+        });
+
+        return OverlayService.placeOrphans(peer.channel, forest, queue, { breakUp: false });
+      })
+      .then(function(placed) {
+        _.forEach(placed.assigned, function(assignment) {
+          OverlayService.notifyPeer(assignment.peer, 'reparent', {
+            upstream: assignment.upstream.id,
+            reason: 'handoff',
+            replaces: childConnections[assignment.peer.id].id
+          });
+        });
+
+        return placed.assigned;
+      });
+  },
+
+  /*
+   * Places each orphan subtree root under a new parent in the forest
+   * An orphan that doesn't fit anywhere has its children broken off and placed in its stead
+   * unless options.breakUp is false, in which case it is just skipped
+   */
+  placeOrphans: function placeOrphans(channelId, forest, queue, options) {
+    options = _.defaults({}, options, { breakUp: true });
+
+    var assigned = [];
+    var brokenConnectionIds = [];
+
+    return Channel.findOneById(channelId)
+      .then(function(channel) {
+        var topology = channel ? channel.topology : TopologyService.defaultStrategy;
+
+        // no broadcasters, nowhere to go
+        if (forest.roots.length === 0) return;
+
+        while (queue.length !== 0) {
+          var orphan = queue.shift();
+          var upstream = OverlayService.findUpstream(topology, forest, orphan);
+
+          if (upstream) {
+            // it's part of that tree now, so the next orphan sees the slot as taken
+            upstream.children.push(orphan);
+            orphan._orphaned = false;
+
+            assigned.push({ peer: orphan, upstream: upstream });
+            OverlayService.assign(orphan.id, upstream.id);
+            continue;
+          }
+
+          if (!options.breakUp) {
+            sails.log.warn('OverlayService#placeOrphans: no upstream for peer', orphan.id);
+            continue;
+          }
+
+          sails.log.warn('OverlayService#placeOrphans: no upstream for peer', orphan.id, 'breaking up its subtree');
+
+          var childConnections = _.filter(orphan.connections, { endpoint: orphan.id, standby: false });
+          brokenConnectionIds.push.apply(brokenConnectionIds, _.pluck(childConnections, 'id'));
+
+          queue.push.apply(queue, orphan.children);
+          orphan.children = [];
+        }
+      })
+      .then(function() {
+        return OverlayService.destroyConnections(_.uniq(brokenConnectionIds));
+      })
+      .then(function(destroyed) {
+        return { assigned: assigned, destroyed: destroyed };
+      });
+  },
+
+  // best upstream for `peer` across every tree in the forest, least loaded tree first
+  findUpstream: function findUpstream(topology, forest, peer) {
+    var upstream;
+
+    _.find(TopologyService.rankRoots(forest.roots), function(root) {
+      upstream = TopologyService.chooseUpstream(topology, peer, TopologyService.exclude(root, peer));
+      return upstream;
+    });
+
+    // exclusions are per request, don't let them leak into the next one
+    t.dfs(forest.roots, function(node) {
+      delete node._excluded;
+    });
+
+    return upstream;
+  }
+};
+
+module.exports = OverlayService;
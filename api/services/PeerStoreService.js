@@ -0,0 +1,190 @@
+/**
+ * PeerStoreService.js
+ *
+ * @description :: Picks the overlay back up after a restart when peers are kept somewhere durable
+ *                 On startup every peer we still know about has lost its socket, so they're all marked
+ *                 disconnected and given a while (see config/peerstore.js) to come back and reclaim
+ *                 their records with their token. Connections that were still being set up can't survive
+ *                 the signaling going away, but established ones carry on between the browsers regardless
+ *                 Peers whose socket drops while we carry on get the same treatment, just for a shorter while
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+var PeerStoreService = {
+  /*
+   * Run once from config/bootstrap.js, before any sockets are around
+   * With an in memory store there's never anything here, so this does nothing
+   */
+  reconcile: function reconcile() {
+    var now = new Date();
+
+    // the rest of the cluster is still serving these peers
+    if (!ClusterService.shouldReconcile()) return Promise.resolve();
+
+    return Peer.find()
+      .populate('connections')
+      .then(function(peers) {
+        if (peers.length === 0) return;
+
+        sails.log.info('PeerStoreService#reconcile: found', peers.length, 'peers from before the restart');
+
+        var unestablished = _.filter(_.flatten(_.pluck(peers, 'connections')), function(conn) {
+          return conn.state !== 'established';
+        });
+
+        return Promise.join(
+          Peer.update({ id: _.pluck(peers, 'id') }, { disconnectedAt: now }),
+          OverlayService.destroyConnections(_.uniq(_.pluck(unestablished, 'id')))
+        )
+          .spread(function(disconnected, destroyed) {
+            sails.log.info('PeerStoreService#reconcile: marked', disconnected.length, 'peers disconnected,',
+                           'dropped', destroyed.length, 'connections that were never established');
+
+            // whoever hasn't come back by then is gone for good
+            var timer = setTimeout(PeerStoreService.expire, sails.config.peerStore.reclaimWindow);
+            if (_.isFunction(timer.unref)) timer.unref();
+          });
+      });
+  },
+
+  /*
+   * Hands a disconnected peer's record over to a new socket, if the token matches
+   * Resolves to the updated peer, or null if there's nothing to reclaim
+   */
+  reclaim: function reclaim(token, channelId, socketId) {
+    return Peer.findOne({ token: token })
+      .then(function(peer) {
+        if (!peer || String(peer.channel) !== String(channelId)) return null;
+
+        // someone still has it, tokens only get you a record nobody's using
+        if (!peer.disconnectedAt && peer.socketId !== socketId) {
+          sails.log.warn('PeerStoreService#reclaim: socket', socketId, 'tried to reclaim peer', peer.id, 'which is still connected');
+          return null;
+        }
+
+        return Peer.update({ id: peer.id }, { socketId: socketId, disconnectedAt: null })
+          .then(function(updated) {
+            if (updated.length !== 1) return null;
+
+            sails.log.info('PeerStoreService#reclaim: peer', peer.id, 'reclaimed by socket', socketId);
+            return updated[0];
+          });
+      });
+  },
+
+  /*
+   * Called from config/sockets.js when a socket goes away
+   * Its peers are kept for a while (see config/peerstore.js) in case the socket was only dropped,
+   * a reconnecting client resumes with its token and nobody downstream notices
+   */
+  disconnect: function disconnect(socketId) {
+    var now = new Date();
+
+    return Peer.update({ socketId: socketId, disconnectedAt: null }, { disconnectedAt: now })
+      .then(function(peers) {
+        _.forEach(peers, function(peer) {
+          sails.log.info('PeerStoreService#disconnect: peer', peer.id, 'lost its socket, holding on to it for a while');
+
+          var timer = setTimeout(PeerStoreService.expirePeer, sails.config.peerStore.resumeWindow, peer.id, now);
+          if (_.isFunction(timer.unref)) timer.unref();
+        });
+
+        return peers;
+      });
+  },
+
+  /*
+   * Destroys a peer that lost its socket at `disconnectedAt`, unless it's come back since
+   * If it's been resumed and lost again there's a newer timer for it, so that's left alone too
+   */
+  expirePeer: function expirePeer(peerId, disconnectedAt) {
+    return Peer.findOneById(peerId)
+      .then(function(peer) {
+        if (!peer || !peer.disconnectedAt) return null;
+        if (new Date(peer.disconnectedAt).getTime() !== new Date(disconnectedAt).getTime()) return null;
+
+        sails.log.info('PeerStoreService#expirePeer: peer', peer.id, 'never came back, destroying it');
+        return PeerStoreService.destroyPeer(peer);
+      })
+      .error(function(err) {
+        sails.log.error('PeerStoreService#expirePeer: DB error', err);
+      })
+      .catch(function(err) {
+        sails.log.error('PeerStoreService#expirePeer: Internal server error', err);
+      });
+  },
+
+  /*
+   * Gets rid of a peer for good, this will cause a cascade of publishing
+   * The peer is looked up again with its connections, publishDestroy goes through them to tell the other ends
+   */
+  destroyPeer: function destroyPeer(peer) {
+    return Peer.findOneById(peer.id)
+      .populate('connections')
+      .then(function(found) {
+        // someone got to it first
+        if (!found) return null;
+
+        var previousPeer = found.toJSON();
+
+        return Peer.destroy({ id: found.id })
+          .then(function() {
+            Peer.publishDestroy(found.id, null, { previous: previousPeer });
+            return Channel.findOne({ id: found.channel }).populate('peers');
+          });
+      })
+      .then(function(channel) {
+        if (channel && _.some(channel.peers, { id: peer.id })) {
+          channel.peers.remove(peer.id);
+          return Promise.promisify(channel.save, channel)();
+        }
+      })
+      .then(function() {
+        return peer;
+      });
+  },
+
+  // peers that never came back to reclaim their records are destroyed, and their children reparented
+  expire: function expire() {
+    var cutoff = Date.now() - sails.config.peerStore.reclaimWindow;
+
+    return Peer.find({ disconnectedAt: { '!': null } })
+      .then(function(peers) {
+        var expired = _.filter(peers, function(peer) {
+          return new Date(peer.disconnectedAt).getTime() <= cutoff;
+        });
+
+        sails.log.info('PeerStoreService#expire: destroying', expired.length, 'peers that never reclaimed their records');
+
+        return Promise.reduce(expired, function(destroyed, peer) {
+          return PeerStoreService.destroyPeer(peer)
+            .then(function() {
+              return destroyed.concat(peer);
+            });
+        }, []);
+      })
+      .error(function(err) {
+        sails.log.error('PeerStoreService#expire: DB error', err);
+      })
+      .catch(function(err) {
+        sails.log.error('PeerStoreService#expire: Internal server error', err);
+      });
+  },
+
+  // the new socket needs to hear about everything going on with its connections again
+  resubscribe: function resubscribe(socket, peerId) {
+    return Peer.findOneById(peerId)
+      .populate('connections')
+      .then(function(peer) {
+        if (!peer || _.isEmpty(peer.connections)) return peer;
+
+        PeerConnection.subscribe(socket, _.pluck(peer.connections, 'id'));
+        return peer;
+      });
+  }
+};
+
+module.exports = PeerStoreService;
@@ -0,0 +1,107 @@
+/**
+ * PermissionService.js
+ *
+ * @description :: What someone's allowed to do on a channel, going by their role
+ *                 The channel's owner is the owner, everyone else has whatever role their Membership says
+ *                 Anything that checks for broadcasting, moderating or managing a channel should ask here
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+// role -> what it lets you do
+var ROLES = {
+  owner: ['watch', 'broadcast', 'moderate', 'manage'],
+  broadcaster: ['watch', 'broadcast'],
+  moderator: ['watch', 'moderate'],
+  viewer: ['watch']
+};
+
+function idOf(model) {
+  return _.isObject(model) ? model.id : model;
+}
+
+var PermissionService = {
+  roles: _.keys(ROLES),
+
+  // roles the owner can hand out, there's only ever one owner
+  grantableRoles: _.without(_.keys(ROLES), 'owner'),
+
+  isOwner: function isOwner(channel, session) {
+    return !!(session && session.user) && String(session.user.id) === String(idOf(channel.owner));
+  },
+
+  // whether `role` lets you do `action`
+  allows: function allows(role, action) {
+    return !!role && _.contains(ROLES[role], action);
+  },
+
+  // resolves to the session's role on the channel, or null if it has none
+  roleOf: function roleOf(channel, session) {
+    if (!session || !session.user) return Promise.resolve(null);
+    if (PermissionService.isOwner(channel, session)) return Promise.resolve('owner');
+
+    return Membership.findOne({ channel: channel.id, user: session.user.id })
+      .then(function(membership) {
+        return membership ? membership.role : null;
+      });
+  },
+
+  /*
+   * Everything the session can do on the channel, for views and checks that need several at once
+   * Resolves to something like { role: 'moderator', watch: true, broadcast: false, moderate: true, manage: false }
+   */
+  permissions: function permissions(channel, session) {
+    return PermissionService.roleOf(channel, session)
+      .then(function(role) {
+        return _.reduce(ROLES.owner, function(permissions, action) {
+          permissions[action] = PermissionService.allows(role, action);
+          return permissions;
+        }, { role: role });
+      });
+  },
+
+  // resolves to whether the session can do `action` on the channel
+  can: function can(channel, session, action) {
+    return PermissionService.roleOf(channel, session)
+      .then(function(role) {
+        return PermissionService.allows(role, action);
+      });
+  },
+
+  // everyone with a role on the channel, with their users
+  members: function members(channel) {
+    return Membership.find({ channel: channel.id })
+      .populate('user');
+  },
+
+  // gives the user `role` on the channel, replacing whatever they had
+  grant: function grant(channel, userId, role) {
+    if (!_.contains(PermissionService.grantableRoles, role)) {
+      return Promise.reject(new Error('Unknown role ' + role));
+    }
+
+    if (String(userId) === String(idOf(channel.owner))) {
+      return Promise.reject(new Error('The owner already has every role'));
+    }
+
+    var criteria = { channel: channel.id, user: userId };
+
+    return Membership.findOne(criteria)
+      .then(function(membership) {
+        if (!membership) return Membership.create(_.extend({ role: role }, criteria));
+
+        return Membership.update({ id: membership.id }, { role: role })
+          .then(function(updated) {
+            return updated[0];
+          });
+      });
+  },
+
+  revoke: function revoke(channel, userId) {
+    return Membership.destroy({ channel: channel.id, user: userId });
+  }
+};
+
+module.exports = PermissionService;
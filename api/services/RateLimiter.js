@@ -0,0 +1,88 @@
+/**
+ * RateLimiter.js
+ *
+ * @description :: Token buckets, one per key, for keeping chatty clients in check
+ *                 Every key gets `capacity` tokens that refill at `refillRate` tokens a second,
+ *                 whatever it does costs tokens, and it has to wait when it runs out
+ *                 Buckets only live in this instance, so a clustered client gets one per instance it's on
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var _ = require('lodash');
+
+// buckets that have filled back up are no different from new ones, so every so often they're let go
+var PRUNE_EVERY = 1000;
+
+function Limiter(options) {
+  this.capacity = options.capacity;
+  this.refillRate = options.refillRate;
+
+  // key -> { tokens, updatedAt }
+  this._buckets = Object.create(null);
+  this._takes = 0;
+}
+
+// tops the bucket up for the time that's passed since we last looked
+Limiter.prototype._refill = function refill(key, now) {
+  var bucket = this._buckets[key];
+
+  if (!bucket) {
+    bucket = this._buckets[key] = { tokens: this.capacity, updatedAt: now };
+  }
+
+  bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * this.refillRate);
+  bucket.updatedAt = now;
+
+  return bucket;
+};
+
+/*
+ * Takes `cost` tokens (one by default) from the key's bucket
+ * Returns whether there were enough, nothing is taken when there weren't
+ */
+Limiter.prototype.take = function take(key, cost, now) {
+  cost = _.isNumber(cost) ? cost : 1;
+  now = now || Date.now();
+
+  if (++this._takes % PRUNE_EVERY === 0) this.prune(now);
+
+  var bucket = this._refill(key, now);
+  if (bucket.tokens < cost) return false;
+
+  bucket.tokens -= cost;
+  return true;
+};
+
+// how many ms until the key has `cost` tokens again
+Limiter.prototype.retryAfter = function retryAfter(key, cost, now) {
+  cost = _.isNumber(cost) ? cost : 1;
+
+  var bucket = this._refill(key, now || Date.now());
+  if (bucket.tokens >= cost) return 0;
+
+  return Math.ceil((cost - bucket.tokens) / this.refillRate * 1000);
+};
+
+Limiter.prototype.prune = function prune(now) {
+  now = now || Date.now();
+
+  _.forEach(_.keys(this._buckets), function(key) {
+    if (this._refill(key, now).tokens >= this.capacity) delete this._buckets[key];
+  }, this);
+};
+
+Limiter.prototype.reset = function reset(key) {
+  if (_.isUndefined(key)) this._buckets = Object.create(null);
+  else delete this._buckets[key];
+};
+
+var RateLimiter = {
+  Limiter: Limiter,
+
+  // options are `capacity` and `refillRate`, tokens a second
+  create: function create(options) {
+    return new Limiter(options);
+  }
+};
+
+module.exports = RateLimiter;
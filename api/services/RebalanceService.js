@@ -0,0 +1,233 @@
+/**
+ * RebalanceService.js
+ *
+ * @description :: Periodically moves peers in deep or lopsided trees closer to their broadcaster
+ *                 A peer being moved is told to connect to its new parent before dropping the old one,
+ *                 the same way children are handed off when a peer leaves (see OverlayService)
+ *                 Configured in config/rebalance.js, started from config/bootstrap.js
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var _ = require('lodash');
+var t = require('t');
+var Promise = require('bluebird');
+
+var timer = null;
+var running = false;
+
+// peer id -> when it was last moved, so nobody gets bounced around
+var lastMoved = Object.create(null);
+
+// forget anything exclude() marked, so it doesn't leak into the next request
+function clearExcluded(root) {
+  t.dfs(root, function(node) {
+    delete node._excluded;
+  });
+}
+
+// moves a node (and everything under it) to a new parent within the tree
+function moveNode(node, from, to) {
+  var shift = to._depth + 1 - node._depth;
+
+  from.children = _.without(from.children, node);
+  to.children.push(node);
+
+  t.dfs(node, function(downstream) {
+    downstream._depth += shift;
+  });
+}
+
+var RebalanceService = {
+  start: function start() {
+    var config = sails.config.rebalance;
+
+    if (!config.enabled || timer) return;
+
+    sails.log.info('RebalanceService#start: rebalancing every', config.interval, 'ms', config.dryRun ? '(dry run)' : '');
+
+    timer = setInterval(RebalanceService.run, config.interval);
+
+    // don't keep the process alive just for us
+    if (_.isFunction(timer.unref)) timer.unref();
+  },
+
+  stop: function stop() {
+    clearInterval(timer);
+    timer = null;
+  },
+
+  // rebalances every live channel, one after another
+  // runs never overlap, if the last one is still going this one is skipped
+  run: function run() {
+    // one instance moving peers around is plenty
+    if (!ClusterService.isLeader()) return Promise.resolve([]);
+
+    if (running) {
+      sails.log.verbose('RebalanceService#run: last run still going, skipping');
+      return Promise.resolve([]);
+    }
+
+    running = true;
+
+    return Channel.find()
+      .populate('peers')
+      .then(function(channels) {
+        return Promise.reduce(_.filter(channels, function(channel) { return channel.isLive(); }), function(moves, channel) {
+          return RebalanceService.rebalanceChannel(channel)
+            .then(function(channelMoves) {
+              return moves.concat(channelMoves);
+            });
+        }, []);
+      })
+      .error(function(err) {
+        sails.log.error('RebalanceService#run: DB error', err);
+        return [];
+      })
+      .catch(function(err) {
+        sails.log.error('RebalanceService#run: Internal server error', err);
+        return [];
+      })
+      .finally(function() {
+        running = false;
+      });
+  },
+
+  rebalanceChannel: function rebalanceChannel(channel) {
+    var config = sails.config.rebalance;
+
+    return Peer.buildForest(channel.id)
+      .then(function(forest) {
+        var moves = RebalanceService.plan(channel.topology, forest, {
+          maxMigrations: config.maxMigrations,
+          maxDepth: config.maxDepth,
+          maxImbalance: config.maxImbalance,
+          isMovable: RebalanceService.isMovable
+        });
+
+        _.forEach(moves, function(move) {
+          sails.log.info('RebalanceService#rebalanceChannel:', config.dryRun ? 'would move' : 'moving',
+                         'peer', move.peer.id, 'from', move.from.id, 'to', move.upstream.id,
+                         'in channel', channel.id, 'because of', move.reason);
+
+          if (!config.dryRun) RebalanceService.migrate(move);
+        });
+
+        return moves;
+      });
+  },
+
+  // tells the peer to go to its new upstream, it drops the old one once it's there
+  migrate: function migrate(move) {
+    lastMoved[move.peer.id] = Date.now();
+
+    OverlayService.assign(move.peer.id, move.upstream.id);
+    OverlayService.notifyPeer(move.peer, 'reparent', {
+      upstream: move.upstream.id,
+      reason: 'rebalance',
+      replaces: move.replaces
+    });
+  },
+
+  // peers moved recently are left to settle
+  isMovable: function isMovable(node) {
+    var moved = lastMoved[node.id];
+    return !moved || moved + sails.config.rebalance.cooldown < Date.now();
+  },
+
+  // why this tree should be rebalanced, or null if it's fine as it is
+  needsRebalance: function needsRebalance(root, options) {
+    var deepest = 0;
+    var shallowestSlot = Infinity;
+
+    t.dfs(root, function(node) {
+      deepest = Math.max(deepest, node._depth);
+
+      if (!node.leaving && !node.disconnectedAt && TopologyService.spareSlots(node) > 0) {
+        shallowestSlot = Math.min(shallowestSlot, node._depth);
+      }
+    });
+
+    if (deepest > options.maxDepth) return 'depth';
+
+    // the deepest peer could be sitting just under that spare slot instead
+    if (deepest - (shallowestSlot + 1) > options.maxImbalance) return 'imbalance';
+
+    return null;
+  },
+
+  /*
+   * Works out which peers to move in a channel's forest, without moving anyone
+   * Deepest peers are moved first, and only to somewhere shallower than they are now
+   * The forest is updated as it goes, so later moves take earlier ones into account
+   * Orphaned subtrees are left to OverlayService
+   * Returns a list of { peer, from, upstream, replaces, reason }, `replaces` being the connection to drop
+   */
+  plan: function plan(topology, forest, options) {
+    options = _.defaults({}, options, { isMovable: _.constant(true) });
+
+    var moves = [];
+    var moved = Object.create(null);
+
+    _.forEach(forest.roots, function(root) {
+      var reason;
+
+      while (moves.length < options.maxMigrations && (reason = RebalanceService.needsRebalance(root, options))) {
+        var move = RebalanceService.findMove(topology, root, function(node) {
+          return !moved[node.id] && options.isMovable(node);
+        });
+
+        if (!move) break;
+
+        moveNode(move.peer, move.from, move.upstream);
+        moved[move.peer.id] = true;
+
+        move.reason = reason;
+        moves.push(move);
+      }
+    });
+
+    return moves;
+  },
+
+  // the deepest peer in the tree that can be brought closer to the root
+  findMove: function findMove(topology, root, isMovable) {
+    var parents = Object.create(null);
+    var nodes = [];
+
+    t.dfs(root, function(node, par) {
+      if (!par) return;
+
+      parents[node.id] = par;
+      nodes.push(node);
+    });
+
+    var move;
+
+    _.find(_.sortBy(nodes, function(node) { return -node._depth; }), function(node) {
+      if (node.leaving || node.disconnectedAt || !isMovable(node)) return false;
+
+      // only peers actually watching through that parent, anything else is still settling
+      var connection = _.find(node.connections, { initiator: node.id, endpoint: parents[node.id].id, standby: false });
+      if (!connection) return false;
+
+      // the channel's own strategy gets first pick, though it might not care about depth
+      var upstream;
+
+      _.find([topology, 'mindepth'], function(name) {
+        upstream = TopologyService.chooseUpstream(name, node, TopologyService.exclude(root, node));
+        clearExcluded(root);
+
+        return upstream && upstream._depth + 1 < node._depth;
+      });
+
+      if (!upstream || upstream._depth + 1 >= node._depth) return false;
+
+      move = { peer: node, from: parents[node.id], upstream: upstream, replaces: connection.id };
+      return true;
+    });
+
+    return move;
+  }
+};
+
+module.exports = RebalanceService;
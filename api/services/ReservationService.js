@@ -0,0 +1,52 @@
+/**
+ * ReservationService.js
+ *
+ * @description :: Runs slot reservations one at a time per channel
+ *                 Picking an upstream and recording the new connection on both peers has to happen
+ *                 without anyone else doing the same in between, or two peers can both be handed the last
+ *                 free slot on a parent (or overwrite each other's connection lists)
+ *                 Different channels don't share slots, so they don't wait on each other
+ *                 When clustered, the channel is also locked across instances (see ClusterService)
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var Promise = require('bluebird');
+
+// channel id -> promise for the last task queued on that channel
+var queues = Object.create(null);
+
+function noop() {}
+
+var ReservationService = {
+  /*
+   * Runs `task` once everything queued before it on this channel has finished
+   * Resolves or rejects with whatever the task does, a failing task doesn't hold up the ones after it
+   */
+  queue: function queue(channelId, task) {
+    var previous = queues[channelId] || Promise.resolve();
+
+    // other instances could be reserving slots on this channel too
+    var run = previous.then(noop, noop)
+      .then(function() {
+        return ClusterService.withLock('reservation:' + channelId, task);
+      });
+
+    queues[channelId] = run;
+
+    // the last one out cleans up after itself
+    var cleanup = function() {
+      if (queues[channelId] === run) delete queues[channelId];
+    };
+
+    run.then(cleanup, cleanup);
+
+    return run;
+  },
+
+  // whether anything is queued or running for this channel
+  isBusy: function isBusy(channelId) {
+    return !!queues[channelId];
+  }
+};
+
+module.exports = ReservationService;
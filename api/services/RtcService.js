@@ -0,0 +1,63 @@
+/**
+ * RtcService.js
+ *
+ * @description :: Works out the ICE servers a browser should use, with TURN credentials just for them
+ *                 Credentials follow the TURN REST scheme (see config/rtc.js), so the TURN server can check
+ *                 them with nothing but the shared secret
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var crypto = require('crypto');
+var _ = require('lodash');
+
+var RtcService = {
+  /*
+   * Who the credentials are for, so they show up in the TURN server's logs
+   * Users go by their id, everyone else by a hash of their session so the session id itself never leaves
+   */
+  scope: function scope(req) {
+    if (req.session && req.session.user) return 'user-' + req.session.user.id;
+
+    // sockets keep theirs on the handshake
+    var sessionId = req.sessionID || (req.socket && req.socket.handshake && req.socket.handshake.sessionID) || '';
+    return 'guest-' + crypto.createHash('sha1').update(String(sessionId)).digest('hex').slice(0, 16);
+  },
+
+  /*
+   * A username and password for the TURN server that are good until `ttl` seconds from now
+   * `now` is in ms, mainly so tests can pin it
+   */
+  credentials: function credentials(scope, secret, ttl, now) {
+    var expires = Math.floor((now || Date.now()) / 1000) + ttl;
+    var username = expires + ':' + scope;
+
+    return {
+      username: username,
+      credential: crypto.createHmac('sha1', secret).update(username).digest('base64'),
+      expires: expires
+    };
+  },
+
+  /*
+   * Everything that goes into a browser's RTCPeerConnection config
+   * `ttl` is in seconds, and tells the browser when to come back for fresh credentials
+   */
+  config: function config(scope) {
+    var rtc = sails.config.rtc;
+    var iceServers = _.map(rtc.iceServers, _.clone);
+
+    if (!rtc.turn || !rtc.turn.secret || _.isEmpty(rtc.turn.urls)) {
+      return { iceServers: iceServers, ttl: null };
+    }
+
+    var creds = RtcService.credentials(scope, rtc.turn.secret, rtc.turn.ttl);
+
+    _.forEach(rtc.turn.urls, function(url) {
+      iceServers.push({ url: url, username: creds.username, credential: creds.credential });
+    });
+
+    return { iceServers: iceServers, ttl: rtc.turn.ttl };
+  }
+};
+
+module.exports = RtcService;
@@ -0,0 +1,132 @@
+/**
+ * SignalingService.js
+ *
+ * @description :: Checks what peers send each other through PeerConnectionController#message
+ *                 Every message is `{ type, payload }`, and every type has a schema its payload has to fit
+ *                 Anything that doesn't is refused before it gets anywhere near the other browser
+ *                 New kinds of messages need a schema here (see define), until then they're refused too
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var _ = require('lodash');
+
+// sdp is a line per field, like `a=rtpmap:111 opus/48000/2`, and always starts with the version
+var SDP_LINE = /^[a-z]=[^\r\n]*$/;
+
+// foundation component transport priority address port typ type, then whatever extras
+var CANDIDATE = /^(a=)?candidate:\S+ \d+ [a-z]+ \d+ \S+ \d+ typ [a-z]+( [^\r\n]*)?$/i;
+
+// fits in a short string, more than that and it's not something we sent
+function isShortString(value, max) {
+  return _.isString(value) && value.length <= max;
+}
+
+function checkKeys(payload, allowed) {
+  var extra = _.difference(_.keys(payload), allowed);
+  if (extra.length !== 0) return 'unexpected ' + extra.join(', ');
+}
+
+// offers and answers are both a session description, just different types of one
+function sessionDescription(type) {
+  return function(payload, limits) {
+    if (!_.isPlainObject(payload)) return 'must be a session description';
+
+    var problem = checkKeys(payload, ['type', 'sdp']);
+    if (problem) return problem;
+
+    if (payload.type !== type) return 'must be a session description of type ' + type;
+    if (!isShortString(payload.sdp, limits.maxSdpLength)) return 'sdp must be a string of at most ' + limits.maxSdpLength + ' characters';
+
+    var lines = payload.sdp.replace(/\r?\n$/, '').split(/\r?\n/);
+
+    if (lines[0] !== 'v=0') return 'sdp must start with its version';
+    if (!_.every(lines, function(line) { return SDP_LINE.test(line); })) return 'sdp is malformed';
+  };
+}
+
+var schemas = {
+  offer: sessionDescription('offer'),
+
+  answer: sessionDescription('answer'),
+
+  // rtcpeerconnection wraps the candidate it got from the browser
+  ice: function(payload, limits) {
+    if (!_.isPlainObject(payload)) return 'must be an ice update';
+
+    var problem = checkKeys(payload, ['candidate']);
+    if (problem) return problem;
+
+    var candidate = payload.candidate;
+
+    if (!_.isPlainObject(candidate)) return 'must have a candidate';
+
+    problem = checkKeys(candidate, ['candidate', 'sdpMid', 'sdpMLineIndex', 'usernameFragment']);
+    if (problem) return 'candidate has ' + problem;
+
+    if (!isShortString(candidate.candidate, limits.maxCandidateLength) || !CANDIDATE.test(candidate.candidate)) {
+      return 'candidate is malformed';
+    }
+
+    if (!_.isUndefined(candidate.sdpMid) && !_.isNull(candidate.sdpMid) && !isShortString(candidate.sdpMid, 64)) {
+      return 'candidate sdpMid must be a short string';
+    }
+
+    if (!_.isUndefined(candidate.usernameFragment) && !_.isNull(candidate.usernameFragment) && !isShortString(candidate.usernameFragment, 256)) {
+      return 'candidate usernameFragment must be a short string';
+    }
+
+    var index = candidate.sdpMLineIndex;
+    if (!_.isUndefined(index) && !_.isNull(index) && !(_.isNumber(index) && index >= 0 && index % 1 === 0 && index < 1024)) {
+      return 'candidate sdpMLineIndex must be a small whole number';
+    }
+  },
+
+  // the reason is only there for the other side's logs
+  close: function(payload, limits) {
+    if (!_.isUndefined(payload) && !isShortString(payload, limits.maxReasonLength)) {
+      return 'reason must be a string of at most ' + limits.maxReasonLength + ' characters';
+    }
+  }
+};
+
+var SignalingService = {
+  schemas: schemas,
+
+  // the types of message peers are allowed to send each other
+  types: function types() {
+    return _.keys(schemas);
+  },
+
+  /*
+   * Adds (or replaces) the schema for a type of message
+   * `schema(payload, limits)` returns what's wrong with the payload, or nothing if it's fine
+   */
+  define: function define(type, schema) {
+    schemas[type] = schema;
+  },
+
+  /*
+   * Returns what's wrong with a message, or null if it can be relayed
+   * `limits` default to config/signaling.js
+   */
+  validate: function validate(data, limits) {
+    limits = limits || sails.config.signaling;
+
+    if (!_.isPlainObject(data)) return 'Message must be an object';
+
+    var problem = checkKeys(data, ['type', 'payload']);
+    if (problem) return 'Message has ' + problem;
+
+    if (!_.isString(data.type) || !_.has(schemas, data.type)) return 'Unknown message type';
+
+    var size = JSON.stringify(data).length;
+    if (size > limits.maxMessageSize) return 'Message is ' + size + ' characters, at most ' + limits.maxMessageSize + ' are allowed';
+
+    problem = schemas[data.type](data.payload, limits);
+    if (problem) return 'Invalid ' + data.type + ' message, ' + problem;
+
+    return null;
+  }
+};
+
+module.exports = SignalingService;
@@ -0,0 +1,123 @@
+/**
+ * SocketGuardService.js
+ *
+ * @description :: Decides who gets to open a socket, and keeps the ones that do from flooding us
+ *                 The handshake checks the origin and the session (see config/socketguard.js) before
+ *                 handing over to sails' own session loading, after that each socket gets a token bucket
+ *                 per action (see RateLimiter), enforced by the socketRateLimit policy
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var url = require('url');
+var _ = require('lodash');
+
+// action -> limiter, made as they're first needed so the config is there
+var limiters = Object.create(null);
+
+// sails' own handshake, parses the cookie and loads the session
+var loadSession = null;
+
+// so a misconfigured requireSession only gets complained about once
+var warnedAboutStore = false;
+
+var SocketGuardService = {
+  /*
+   * Whether the page that opened the socket is allowed to
+   * Browsers always say where they are when going cross origin, so no origin at all means it's not
+   * a page on some other site (and anything that isn't a browser can say whatever it likes anyway)
+   */
+  isAllowedOrigin: function isAllowedOrigin(handshake) {
+    var origin = handshake.headers && handshake.headers.origin;
+    if (!origin) return true;
+
+    var allowed = sails.config.socketGuard.allowedOrigins;
+    if (!_.isEmpty(allowed)) return _.contains(allowed, origin);
+
+    return url.parse(origin).host === handshake.headers.host;
+  },
+
+  /*
+   * Whether to turn away sockets whose session we don't know
+   * Sessions in memory are gone after a restart, so with them every socket coming back would be
+   * refused, and its peer never got the chance to reclaim its record
+   */
+  requiresSession: function requiresSession() {
+    if (!sails.config.socketGuard.requireSession) return false;
+
+    var adapter = sails.config.session.adapter;
+    if (adapter && adapter !== 'memory') return true;
+
+    if (!warnedAboutStore) {
+      sails.log.warn('SocketGuardService#requiresSession: ignoring requireSession, sessions are only kept in memory');
+      warnedAboutStore = true;
+    }
+
+    return false;
+  },
+
+  /*
+   * The `authorization` function for config/sockets.js
+   * Calls `accept(err, allowed)` like socket.io expects
+   */
+  authorize: function authorize(handshake, accept) {
+    if (!SocketGuardService.isAllowedOrigin(handshake)) {
+      sails.log.warn('SocketGuardService#authorize: refused a socket from origin', handshake.headers.origin,
+                     'at', handshake.address && handshake.address.address);
+      return accept(null, false);
+    }
+
+    if (!loadSession) loadSession = require('sails/lib/hooks/sockets/lib/authorization')(sails);
+
+    loadSession(handshake, function(err, allowed) {
+      if (err || !allowed || !SocketGuardService.requiresSession()) return accept(err, allowed);
+
+      // sails makes up a blank session for cookies it's never seen, we'd rather they loaded a page first
+      sails.session.get(handshake.sessionID, function(err, session) {
+        if (err) return accept(err, false);
+
+        if (!session) {
+          sails.log.warn('SocketGuardService#authorize: refused a socket with an unknown session',
+                         'at', handshake.address && handshake.address.address);
+          return accept(null, false);
+        }
+
+        return accept(null, true);
+      });
+    });
+  },
+
+  // what `controller/action` costs, see config/socketguard.js
+  budget: function budget(action) {
+    var budgets = sails.config.socketGuard.budgets;
+    return _.has(budgets, action) ? budgets[action] : budgets.default;
+  },
+
+  // every action gets its own buckets, even the ones sharing the default budget
+  limiter: function limiter(action) {
+    if (!limiters[action]) limiters[action] = RateLimiter.create(SocketGuardService.budget(action));
+    return limiters[action];
+  },
+
+  /*
+   * Takes a token for a socket doing `controller/action`
+   * Returns 0 if it can go ahead, otherwise how many ms until it can
+   */
+  take: function take(socketId, action, now) {
+    var limiter = SocketGuardService.limiter(action);
+
+    if (limiter.take(socketId, 1, now)) return 0;
+    return limiter.retryAfter(socketId, 1, now);
+  },
+
+  // a socket that's gone doesn't need its buckets
+  forget: function forget(socketId) {
+    _.invoke(limiters, 'reset', socketId);
+  },
+
+  // mainly for tests, the next request makes new limiters from whatever the config is then
+  reset: function reset() {
+    limiters = Object.create(null);
+  }
+};
+
+module.exports = SocketGuardService;
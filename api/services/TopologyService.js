@@ -0,0 +1,209 @@
+/**
+ * TopologyService.js
+ *
+ * @description :: Registry of topology strategies used to shape a channel's overlay
+ *                 A strategy is an object with:
+ *                   chooseUpstream(peer, root) - required, returns the tree node `peer` should connect to
+ *                   buildForest(channelId)     - optional, returns a promise for the channel's forest (see Peer.buildForest)
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var _ = require('lodash');
+var t = require('t');
+
+var strategies = Object.create(null);
+
+// every node in the tree that could take on `peer` as another child
+function findCandidates(peer, root) {
+  var candidates = [];
+
+  t.bfs(root, function(node, par) {
+    if (TopologyService.canTake(node, peer)) candidates.push(node);
+  });
+
+  return candidates;
+}
+
+// lodash's min gives back Infinity when there's nothing to choose from
+function lowest(nodes, score) {
+  if (_.isEmpty(nodes)) return void 0;
+  return _.min(nodes, score);
+}
+
+var TopologyService = {
+  defaultStrategy: 'capacity',
+
+  register: function register(name, strategy) {
+    if (!_.isFunction(strategy.chooseUpstream)) {
+      throw new Error('Topology strategy ' + name + ' must implement chooseUpstream');
+    }
+
+    strategies[name] = strategy;
+    return strategy;
+  },
+
+  has: function has(name) {
+    return _.has(strategies, name);
+  },
+
+  names: function names() {
+    return _.keys(strategies);
+  },
+
+  get: function get(name) {
+    if (!TopologyService.has(name)) {
+      sails.log.warn('TopologyService#get: unknown strategy', name, 'falling back to', TopologyService.defaultStrategy);
+      name = TopologyService.defaultStrategy;
+    }
+
+    return strategies[name];
+  },
+
+  buildForest: function buildForest(name, channelId) {
+    var strategy = TopologyService.get(name);
+
+    if (_.isFunction(strategy.buildForest)) {
+      return strategy.buildForest(channelId);
+    }
+
+    return Peer.buildForest(channelId);
+  },
+
+  // slots taken on this node, which is its children in the tree and anyone else connected (or connecting) to it
+  // connections still being set up don't show up in the tree, but they'll be using a slot soon enough
+  usedSlots: function usedSlots(node) {
+    var childIds = _.pluck(node.children, 'id');
+
+    var pending = _.filter(node.connections, function(conn) {
+      return conn.endpoint === node.id && !_.contains(childIds, conn.initiator)
+        && conn.state !== 'failed' && conn.state !== 'closing';
+    });
+
+    return node.children.length + _.uniq(_.pluck(pending, 'initiator')).length;
+  },
+
+  spareSlots: function spareSlots(node) {
+    return Peer.getMaxChildren(node) - TopologyService.usedSlots(node);
+  },
+
+  // whether this node in the tree could take on `peer` as another child right now
+  // run `exclude` on the tree first, so nothing upstream of the node is downstream of `peer`
+  canTake: function canTake(node, peer) {
+    if (peer.id === node.id || node._excluded || node.leaving) return false;
+
+    // lost its socket and might not be back, nobody could signal it anyway
+    if (node.disconnectedAt) return false;
+    if (node._shadowConnections.length > sails.config.overlay.maxShadowConnections) return false;
+
+    return TopologyService.spareSlots(node) > 0;
+  },
+
+  // how many peers hang off this node, itself not included
+  countDescendants: function countDescendants(root) {
+    var count = -1;
+
+    t.dfs(root, function(node) {
+      count += 1;
+    });
+
+    return count;
+  },
+
+  // broadcaster trees from least to most loaded
+  rankRoots: function rankRoots(roots) {
+    return _.sortBy(roots, TopologyService.countDescendants);
+  },
+
+  // marks nodes that `peer` must not connect to, so strategies skip them
+  // that's anything it is already connected to as a parent and anything downstream of it
+  // works with both peer models and tree nodes
+  exclude: function exclude(root, peer) {
+    var upstreamIds = _.pluck(_.filter(peer.connections, { initiator: peer.id }), 'endpoint');
+
+    t.dfs(root, function(node) {
+      if (_.contains(upstreamIds, node.id)) node._excluded = true;
+
+      if (node.id === peer.id) {
+        t.dfs(node, function(downstream) {
+          downstream._excluded = true;
+        });
+      }
+    });
+
+    return root;
+  },
+
+  chooseUpstream: function chooseUpstream(name, peer, root) {
+    var candidate = TopologyService.get(name).chooseUpstream(peer, root);
+
+    sails.log.info('TopologyService#chooseUpstream: strategy', name, 'chose', candidate, 'as the upstream for', peer);
+
+    return candidate;
+  }
+};
+
+// weighs spare slots, depth and reported quality
+// highest score wins, ties go to whoever the bfs found first (shallower)
+TopologyService.register('capacity', {
+  chooseUpstream: function chooseUpstream(peer, root) {
+    var weights = sails.config.overlay.weights;
+
+    var scored = _.map(findCandidates(peer, root), function(node) {
+      var score = weights.slots * TopologyService.spareSlots(node)
+        - weights.depth * (node._depth || 0)
+        + weights.quality * (_.isNumber(node.quality) ? node.quality : 1);
+
+      sails.log.silly('TopologyService#capacity: potential upstream', node, 'has score', score);
+      return { node: node, score: score };
+    });
+
+    var best = _.reduce(scored, function(best, candidate) {
+      return (!best || candidate.score > best.score) ? candidate : best;
+    }, null);
+
+    return best ? best.node : void 0;
+  }
+});
+
+// the original shape - fill each peer up with two children, breadth first
+TopologyService.register('binary', {
+  chooseUpstream: function chooseUpstream(peer, root) {
+    return _.find(findCandidates(peer, root), function(node) {
+      return TopologyService.usedSlots(node) < 2;
+    });
+  }
+});
+
+// shallowest peer with a spare slot, ties going to whoever has the most to spare
+TopologyService.register('mindepth', {
+  chooseUpstream: function chooseUpstream(peer, root) {
+    return lowest(findCandidates(peer, root), function(node) {
+      return node._depth * sails.config.overlay.maxChildren - TopologyService.spareSlots(node);
+    });
+  }
+});
+
+// peer with the lowest total reported latency on its path back to the broadcaster
+TopologyService.register('latency', {
+  chooseUpstream: function chooseUpstream(peer, root) {
+    var pathLatency = Object.create(null);
+
+    t.bfs(root, function(node, par) {
+      var latency = _.isNumber(node.latency) ? node.latency : sails.config.overlay.defaultLatency;
+      pathLatency[node.id] = (par ? pathLatency[par.id] : 0) + latency;
+    });
+
+    return lowest(findCandidates(peer, root), function(node) {
+      return pathLatency[node.id];
+    });
+  }
+});
+
+// any peer with a spare slot will do
+TopologyService.register('random', {
+  chooseUpstream: function chooseUpstream(peer, root) {
+    return _.sample(findCandidates(peer, root));
+  }
+});
+
+module.exports = TopologyService;
@@ -0,0 +1,151 @@
+/**
+ * WatchdogService.js
+ *
+ * @description :: Destroys peer connections that take too long to become established
+ *                 Every state has its own timeout (see config/watchdog.js), restarted whenever the state changes
+ *                 When a connection is destroyed both peers are told why, and a little metrics event is emitted
+ * @docs        :: http://sailsjs.org/#!documentation/services
+ */
+
+var _ = require('lodash');
+
+var PeerConnectionStates = require('../../assets/js/PeerConnectionStates');
+
+// connection id -> { state, timer }
+// established connections stay in here without a timer, so updates that leave them established aren't counted again
+var watched = Object.create(null);
+
+var metrics;
+
+function resetMetrics() {
+  metrics = {
+    // connections that got to established, and how long it took them
+    established: 0,
+    establishTime: { total: 0, max: 0 },
+
+    // reason code -> connections destroyed for it
+    timedOut: {}
+  };
+}
+
+resetMetrics();
+
+var WatchdogService = {
+  /*
+   * Starts (or restarts) the timer for a connection's current state
+   * Called whenever a connection is created or updated, updates that don't change the state are ignored
+   * so a connection is only counted as established once, however often it's updated after (say on promotion)
+   */
+  watch: function watch(peerConn) {
+    var config = sails.config.watchdog;
+    var current = watched[peerConn.id];
+
+    if (!peerConn.state) return;
+    if (current && current.state === peerConn.state) return;
+
+    WatchdogService.unwatch(peerConn.id);
+
+    // on its way out already, nothing left to wait for
+    if (peerConn.state === 'failed' || peerConn.state === 'closing') return;
+
+    if (peerConn.state === 'established') {
+      var establishTime = Date.now() - new Date(peerConn.createdAt).getTime();
+
+      metrics.established += 1;
+      metrics.establishTime.total += establishTime;
+      metrics.establishTime.max = Math.max(metrics.establishTime.max, establishTime);
+
+      sails.log.verbose('WatchdogService#watch: connection', peerConn.id, 'established after', establishTime, 'ms');
+      sails.emit('watchdog:established', { connection: peerConn.id, time: establishTime });
+
+      watched[peerConn.id] = { state: peerConn.state, timer: null };
+      return;
+    }
+
+    // whichever runs out first, this state or the whole thing
+    var stateTimeout = config.timeouts[peerConn.state];
+    var remaining = new Date(peerConn.createdAt).getTime() + config.establishTimeout - Date.now();
+
+    var reason = 'timeout_' + peerConn.state;
+    var timeout = stateTimeout;
+
+    if (!_.isNumber(stateTimeout) || remaining < stateTimeout) {
+      reason = 'timeout_establish';
+      timeout = remaining;
+    }
+
+    timeout = Math.max(0, timeout) + _.random(0, config.jitter);
+
+    watched[peerConn.id] = {
+      state: peerConn.state,
+      timer: setTimeout(WatchdogService.expire, timeout, peerConn.id, peerConn.state, reason)
+    };
+  },
+
+  unwatch: function unwatch(id) {
+    if (!watched[id]) return;
+
+    clearTimeout(watched[id].timer);
+    delete watched[id];
+  },
+
+  // the timer ran out, if the connection hasn't moved on it's destroyed
+  expire: function expire(id, state, reason) {
+    delete watched[id];
+
+    return PeerConnection.findOne({ id: id })
+      .populate('initiator')
+      .populate('endpoint')
+      .then(function(peerConn) {
+        // may be gone by the time we check
+        if (!peerConn) return;
+
+        // moved on since, which would have set another timer
+        if (peerConn.state !== state) return;
+
+        sails.log.warn('WatchdogService#expire: connection', peerConn.id, 'stuck in state', state, 'destroying it with reason', reason);
+
+        metrics.timedOut[reason] = (metrics.timedOut[reason] || 0) + 1;
+        sails.emit('watchdog:timeout', { connection: peerConn.id, state: state, reason: reason });
+
+        // tell the peers first, so they know why it's about to disappear
+        _.forEach(_.compact([peerConn.initiator, peerConn.endpoint]), function(peer) {
+          OverlayService.notifyPeer(peer, 'connectionClosed', { connection: peerConn.id, reason: reason });
+        });
+
+        return PeerConnection.transition(peerConn, 'failed')
+          .then(function(updated) {
+            PeerConnection.publishUpdate(updated.id, { state: updated.state }, null, { previous: peerConn });
+          })
+          .catch(PeerConnectionStates.InvalidTransitionError, function(err) {
+            sails.log.verbose('WatchdogService#expire: could not mark connection', peerConn.id, 'as failed', err.message);
+          })
+          .then(function() {
+            return PeerConnection.destroy({ id: peerConn.id });
+          });
+      })
+      .then(function(destroyed) {
+        OverlayService.publishDestroyed(destroyed);
+      })
+      .error(function(err) {
+        sails.log.error('WatchdogService#expire: DB error', err);
+      })
+      .catch(function(err) {
+        sails.log.error('WatchdogService#expire: Internal server error', err);
+      });
+  },
+
+  // a copy of the counters so far, with the average time to establish worked out
+  getMetrics: function getMetrics() {
+    var copy = _.cloneDeep(metrics);
+
+    copy.watching = _.size(_.filter(watched, 'timer'));
+    copy.establishTime.average = metrics.established ? metrics.establishTime.total / metrics.established : 0;
+
+    return copy;
+  },
+
+  resetMetrics: resetMetrics
+};
+
+module.exports = WatchdogService;
@@ -0,0 +1,136 @@
+var _ = require('lodash');
+
+// how long to leave a "slow down" up before it's taken down again
+var NOTICE_TIMEOUT = 3000;
+
+// the chat under the video, everything comes and goes over the channel's pubsub
+function ChatPanel(socket, channelId, options) {
+  this._socket = socket;
+  this._channelId = channelId;
+
+  _.defaults(this, options, {
+    canModerate: false, // whether we get delete buttons
+    joinToken: null     // sent along when that's how we got in
+  });
+
+  this._$messages = $('#chatMessages');
+  this._$form = $('#chatForm');
+  this._noticeTimeout = null;
+
+  this._bind();
+}
+
+ChatPanel.prototype._url = function url(suffix) {
+  return '/channel/' + this._channelId + '/chat' + (suffix || '');
+};
+
+ChatPanel.prototype._params = function params(extra) {
+  var params = _.extend({}, extra);
+  if (this.joinToken) params.joinToken = this.joinToken;
+  return params;
+};
+
+ChatPanel.prototype._bind = function bind() {
+  var that = this;
+
+  this._$form.on('submit', function(e) {
+    e.preventDefault();
+    that.send($('#chatText').val(), $('#chatHandle').val());
+  });
+
+  this._$messages.on('click', '.chat-delete', function(e) {
+    e.preventDefault();
+    that.remove($(this).closest('li').data('message-id'));
+  });
+};
+
+// whatever was said before we turned up
+ChatPanel.prototype.load = function load() {
+  var that = this;
+
+  this._socket.get(this._url(), this._params(), function gotChatHistory(resp) {
+    if (!resp || resp.status !== 200) {
+      console.warn('could not get chat history', resp);
+      return;
+    }
+
+    that._$messages.empty();
+    _.forEach(resp.messages, that.append, that);
+  });
+};
+
+ChatPanel.prototype.send = function send(text, handle) {
+  var that = this;
+
+  text = (text || '').trim();
+  if (!text) return;
+
+  var params = { text: text };
+  if (handle) params.handle = handle;
+
+  this._socket.post(this._url(), this._params(params), function gotChatPost(resp) {
+    if (!resp || resp.status !== 200) {
+      that.notice(resp && resp.status === 429 ? 'Slow down a little' : 'Could not send that');
+      return;
+    }
+
+    $('#chatText').val('');
+  });
+};
+
+ChatPanel.prototype.remove = function remove(messageId) {
+  this._socket['delete'](this._url('/' + messageId), this._params(), function gotChatDelete(resp) {
+    if (!resp || resp.status !== 200) console.warn('could not delete chat message', messageId, resp);
+  });
+};
+
+ChatPanel.prototype.append = function append(message) {
+  var $item = $('<li>').attr('data-message-id', message.id);
+
+  $('<strong>')
+    .text(message.handle)
+    .toggleClass('chat-guest', !!message.guest)
+    .appendTo($item);
+
+  $item.append(document.createTextNode(': ' + message.text));
+
+  if (this.canModerate) {
+    $('<a href="#" class="chat-delete" title="Delete">&times;</a>').appendTo($item);
+  }
+
+  this._$messages.append($item);
+  this._$messages.scrollTop(this._$messages.prop('scrollHeight'));
+};
+
+// a message that's only for us, and goes away by itself
+ChatPanel.prototype.notice = function notice(text) {
+  var that = this;
+
+  clearTimeout(this._noticeTimeout);
+  this._$messages.find('.chat-notice').remove();
+
+  $('<li class="chat-notice">').append($('<small>').text(text)).appendTo(this._$messages);
+
+  this._noticeTimeout = setTimeout(function() {
+    that._$messages.find('.chat-notice').remove();
+  }, NOTICE_TIMEOUT);
+};
+
+// chat messages off the channel's pubsub
+ChatPanel.prototype.handle = function handle(data) {
+  switch (data.type) {
+  case 'chat':
+    this.append(data.message);
+    break;
+
+  case 'chatDeleted':
+    this._$messages.find('li[data-message-id="' + data.id + '"]').remove();
+    break;
+
+  default:
+    console.info('unknown chat message', data);
+    break;
+  }
+};
+
+module.exports = ChatPanel;
@@ -6,37 +6,38 @@ var EventEmitter = require('events').EventEmitter;
 var RTCConnection = require('rtcpeerconnection');
 
 var PeerSocket = require('./PeerSocket');
+var PeerConnectionStates = require('./PeerConnectionStates');
 
 Promise.promisifyAll(RTCConnection.prototype);
 
-const PeerConnectionStates = [ 'reserved', 'connecting',
-                               'init_established', 'recv_established',
-                               'established' ];
-
-function getRTCConfig(cb) {
-  var config = {
-    debug: false,
-    iceServers: [
-      { url: 'stun:stun.l.google.com:19302' },
-      { url: 'stun:stun1.l.google.com:19302' },
-      { url: 'stun:stun2.l.google.com:19302' },
-      { url: 'stun:stun3.l.google.com:19302' },
-      { url: 'stun:stun4.l.google.com:19302' }
-    ]
-  };
+// what the server told us last time, and when to stop using it
+var _rtcConfig = null;
+var _rtcConfigExpires = 0;
 
-  if (_.isFunction(window.turnserversDotComAPI.iceServers)) {
-    window.turnserversDotComAPI.iceServers(function(data) {
-      Array.prototype.push.apply(config.iceServers, data);
+// ask again a minute before the TURN credentials run out
+var RTC_CONFIG_MARGIN = 60000;
 
-      setTimeout(cb, 1, null, config);
-    });
-  } else {
-    setTimeout(cb, 1, null, config);
+// ice servers (and TURN credentials just for us) come from the server, see /rtc/config
+function getRTCConfig(socket) {
+  if (_rtcConfig && Date.now() < _rtcConfigExpires) {
+    return Promise.resolve(_.cloneDeep(_rtcConfig));
   }
-}
 
-var getRTCConfigAsync = Promise.promisify(getRTCConfig);
+  return new Promise(function(resolve, reject) {
+    socket.get('/rtc/config', function gotRTCConfig(response) {
+      if (!response || response.status !== 200) {
+        return reject(new Error('Could not get rtc config'));
+      }
+
+      var ttl = response.config.ttl;
+
+      _rtcConfig = { debug: false, iceServers: response.config.iceServers };
+      _rtcConfigExpires = _.isNumber(ttl) ? Date.now() + Math.max(ttl * 1000 - RTC_CONFIG_MARGIN, 0) : Infinity;
+
+      return resolve(_.cloneDeep(_rtcConfig));
+    });
+  });
+}
 
 const rtcConstraints = {
   mandatory: {
@@ -82,8 +83,9 @@ function PeerConnection(socket, init) {
   _.defaults(this, init, {
     id: null,    // id of peer connection on server
     type: null,  // initiator or receiver?
-    state: null, // current state
-    model: null  // model from server, if given
+    state: null,    // current state
+    model: null,    // model from server, if given
+    standby: false  // kept warm in case our active upstream goes away
   });
 }
 
@@ -95,7 +97,7 @@ PeerConnection.createLocal = function createLocal(socket, init) {
     state: 'reserved'
   }));
 
-  return Promise.join(newPc._create(), getRTCConfigAsync())
+  return Promise.join(newPc._create(), getRTCConfig(socket))
     .spread(function(newPc, rtcConfig) {
       newPc._rtcConfig = rtcConfig;
       newPc.pc = new RTCConnection(newPc._rtcConfig, rtcConstraints);
@@ -113,7 +115,7 @@ PeerConnection.createRemote = function createRemote(socket, id, init) {
   newPc._group = 'pc-' + newPc.id;
   newPc._peerSocket = new PeerSocket(newPc._socket, newPc.id);
 
-  return Promise.join(Promise.cast(newPc), getRTCConfigAsync())
+  return Promise.join(Promise.cast(newPc), getRTCConfig(socket))
     .spread(function(newPc, rtcConfig) {
       newPc._rtcConfig = rtcConfig;
       newPc.pc = new RTCConnection(newPc._rtcConfig, rtcConstraints);
@@ -128,7 +130,7 @@ PeerConnection.prototype._create = function create() {
   // which will allow for multiple peers per socket
   // now let's create a peer connection
   return new Promise(function(resolve, reject) {
-    that._socket.post('/peerconnection/create', function gotPeerConnectionCreate(peerConnection) {
+    that._socket.post('/peerconnection/create', { standby: that.standby }, function gotPeerConnectionCreate(peerConnection) {
       if (peerConnection.status !== 200) {
         return reject(new Error('Could not create peer connection'));
       }
@@ -153,6 +155,8 @@ PeerConnection.prototype.destroy = function destroy(reason) {
   // don't bother with offer anymore
   if (this._offerTimeout) clearTimeout(this._offerTimeout);
 
+  this.setState('closing');
+
   // notify other peer
   this._peerSocket.emit('close', reason);
 
@@ -255,6 +259,22 @@ PeerConnection.prototype.createDataConnection = function createDataConnection(na
   return dataChannel;
 };
 
+// the server is in charge of our state, but we won't go backwards
+// we may not hear about every state in between, so anything reachable from where we are will do
+PeerConnection.prototype.setState = function setState(state) {
+  if (state === this.state) return true;
+
+  if (!PeerConnectionStates.canReach(this.state, state)) {
+    console.error(new PeerConnectionStates.InvalidTransitionError(this.state, state).message, 'for peer connection', this.id);
+    return false;
+  }
+
+  console.info('setting state (as ' + this.type + ') to', state, 'for peer connection', this.id);
+  this.state = state;
+
+  return true;
+};
+
 PeerConnection.prototype.isInitiator = function isInitiator() {
   return this.type === 'initiator';
 };
@@ -443,6 +463,28 @@ PeerConnection.prototype._onGotAddStream = function _onGotAddStream(newStream) {
   this.emit('newStream', newStream);
 };
 
+// swap the stream we're sending for another, say after failing over to a standby upstream
+PeerConnection.prototype.replaceStream = function replaceStream(oldStream, newStream) {
+  // rtcpeerconnection doesn't wrap removeStream, so go to the real thing
+  if (oldStream) this.pc.pc.removeStream(oldStream);
+  this.pc.addStream(newStream);
+};
+
+PeerConnection.prototype.promote = function promote() {
+  var that = this;
+
+  return new Promise(function(resolve, reject) {
+    that._socket.post('/peerconnection/promote', { id: that.id }, function gotPeerPromote(peerPromotion) {
+      if (peerPromotion.status !== 200) {
+        return reject(new Error('Could not promote peer connection'));
+      }
+
+      that.standby = false;
+      return resolve(peerPromotion);
+    });
+  });
+};
+
 PeerConnection.prototype.finalize = function finalize() {
   var that = this;
 
@@ -452,6 +494,7 @@ PeerConnection.prototype.finalize = function finalize() {
         return reject(new Error('Could not finalize peer connection'));
       }
 
+      that.setState(peerFinalization.state);
       return resolve(peerFinalization);
     });
  });
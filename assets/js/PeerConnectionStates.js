@@ -0,0 +1,91 @@
+/*
+ * The states a peer connection goes through, and the moves between them that are allowed
+ * Shared by the server (api/models/PeerConnection.js) and the browser (PeerConnection.js)
+ *
+ * reserved -> connecting -> init_established / recv_established -> established
+ * anything short of closing can fail, and anything at all can be closed
+ */
+
+var util = require('util');
+var _ = require('lodash');
+
+// state -> states it can move to directly
+var transitions = {
+  reserved: [ 'connecting', 'failed', 'closing' ],
+  connecting: [ 'init_established', 'recv_established', 'failed', 'closing' ],
+  init_established: [ 'established', 'failed', 'closing' ],
+  recv_established: [ 'established', 'failed', 'closing' ],
+  established: [ 'failed', 'closing' ],
+  failed: [ 'closing' ],
+  closing: []
+};
+
+function InvalidTransitionError(from, to) {
+  Error.call(this);
+  Error.captureStackTrace && Error.captureStackTrace(this, InvalidTransitionError);
+
+  this.name = 'InvalidTransitionError';
+  this.from = from;
+  this.to = to;
+  this.message = 'Peer connection can not go from state ' + from + ' to state ' + to;
+}
+
+util.inherits(InvalidTransitionError, Error);
+
+var PeerConnectionStates = {
+  states: _.keys(transitions),
+
+  transitions: transitions,
+
+  InvalidTransitionError: InvalidTransitionError,
+
+  isState: function isState(state) {
+    return _.has(transitions, state);
+  },
+
+  // can go straight from one to the other
+  canTransition: function canTransition(from, to) {
+    return _.has(transitions, from) && _.contains(transitions[from], to);
+  },
+
+  // can get from one to the other eventually
+  // someone only watching updates (like the browser) can miss the states in between
+  canReach: function canReach(from, to) {
+    if (!_.has(transitions, from)) return false;
+
+    var seen = {};
+    var queue = transitions[from].slice();
+
+    while (queue.length !== 0) {
+      var state = queue.shift();
+
+      if (state === to) return true;
+      if (seen[state]) continue;
+
+      seen[state] = true;
+      queue.push.apply(queue, transitions[state]);
+    }
+
+    return false;
+  },
+
+  assertTransition: function assertTransition(from, to) {
+    if (!PeerConnectionStates.canTransition(from, to)) {
+      throw new InvalidTransitionError(from, to);
+    }
+
+    return to;
+  },
+
+  // where a connection ends up when one side (initiator or receiver) says it's connected
+  // it's only fully established once both sides have said so
+  established: function established(from, side) {
+    var waitingOn = side === 'initiator' ? 'recv_established' : 'init_established';
+
+    if (from === waitingOn) return 'established';
+
+    return (side === 'initiator' ? 'init_' : 'recv_') + 'established';
+  }
+};
+
+module.exports = PeerConnectionStates;
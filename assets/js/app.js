@@ -7,6 +7,7 @@ var getUserMediaAsync = Promise.promisify(getUserMedia);
 
 var PeerConnectionManager = require('./PeerConnectionManager');
 var PeerConnection = require('./PeerConnection');
+var ChatPanel = require('./ChatPanel');
 
 global._enableFirehose = false;
 
@@ -44,11 +45,31 @@ var _canBroadcast = false;
 var _isLive = undefined;
 var _isSourceBroadcaster = false;
 var _reconnectTimeout = null;
+var _reparenting = false;
+
+// how long we'll keep relaying to our children while they move elsewhere
+var _leaveTimeout = 5000;
+var _latency = null;
+
+// how many upstreams we keep, one active and the rest standbys
+var _channelParents = 1;
 
 // object of your local peer and peer connection from server
 var _localPeerModel = null;
 global._localPeerModel = _localPeerModel;
 
+// lets us take our peer back if we lose our socket, say when the server restarts
+var _peerToken = null;
+
+// from the channel owner, gets us into channels we otherwise couldn't watch
+var _joinToken = null;
+
+// a moderator showed us the door, we don't come back by ourselves
+var _kicked = false;
+
+// the chat under the video, if the page has one
+var _chatPanel = null;
+
 function resetGlobalState() {
   _canBroadcast = false;
   _isLive = undefined;
@@ -93,66 +114,253 @@ function addRemotePeerConnection(addedPeerConn) {
     });
 }
 
-function removeRemotePeerConnection(removedPeerConn) {
-  console.info('removing remote peer conn', removedPeerConn);
+// keep as many warm standby upstreams as the channel wants
+function ensureStandbyParents() {
+  if (_isSourceBroadcaster || !_localPeerModel) return;
+
+  var missing = _channelParents - _pcManager.getParents().length;
+
+  _.times(missing, function() {
+    var thatPeerConn;
+
+    createLocalPeerConnection(socket, _pcManager, _localPeerModel, { standby: true })
+      .then(function(peerConn) {
+        thatPeerConn = peerConn;
+
+        // the stream is kept on the peer connection until we need it
+        peerConn.pc.on('addStream', function(event) {
+          console.info('standby upstream', peerConn.id, 'is warm');
+
+          peerConn.finalize()
+            .error(function(err) {
+              console.error('error in standby finalization, removing peer connection', err);
+              removeRemotePeerConnection(thatPeerConn);
+            });
+        });
+      })
+      .error(function(err) {
+        console.error('error in standby bootstrapping', err);
+        if (thatPeerConn) removeRemotePeerConnection(thatPeerConn);
+      });
+  });
+}
+
+// switch over to a warm standby, returns whether we managed to
+function failoverToStandby() {
+  var standby = _.find(_pcManager.getParents(), function(pc) {
+    return pc.standby && pc._streams.length > 0;
+  });
+
+  if (!standby) return false;
+
+  var oldStream = _upstream;
+  // streams are kept as the addStream events they came in on
+  var newStream = standby._streams[0].stream;
+
+  console.info('failing over to standby upstream', standby.id);
+
+  setUpstream(newStream);
+  $('#localVideo')[0].src = URL.createObjectURL(newStream);
+
+  // our children need to be fed the new stream too
+  _.forEach(_pcManager.getChildren(), function(child) {
+    child.replaceStream(oldStream, newStream);
+  });
+
+  standby.promote()
+    .then(ensureStandbyParents)
+    .error(function(err) {
+      console.error('could not promote standby upstream', standby.id, err);
+    });
+
+  return true;
+}
+
+function removeRemotePeerConnection(removedPeerConn, reason) {
+  console.info('removing remote peer conn', removedPeerConn, reason ? 'because of ' + reason : '');
+
+  var wasActiveUpstream = false;
 
   if (_pcManager.exists(removedPeerConn)) {
     var pc = _pcManager.get(removedPeerConn);
-    pc.destroy();
+    wasActiveUpstream = pc.isInitiator() && !pc.standby;
+    pc.destroy(reason);
 
     _pcManager.remove(removedPeerConn);
   }
 
+  // during a handoff we've already moved on to another active upstream
+  if (wasActiveUpstream && _.some(_pcManager.getParents(), { standby: false })) {
+    return;
+  }
+
+  // lost our active upstream, but maybe we have a standby ready to go
+  if (wasActiveUpstream && !_isSourceBroadcaster && failoverToStandby()) {
+    return;
+  }
+
+  // lost a standby, top them back up
+  if (!wasActiveUpstream && _pcManager.getParents().length > 0) {
+    ensureStandbyParents();
+  }
+
   // we have no more upstream!
-  if (_pcManager.getParents().length === 0 && !_isSourceBroadcaster && _localPeerModel && !_reconnectTimeout) {
+  if (_pcManager.getParents().length === 0 && !_isSourceBroadcaster && _localPeerModel && !_reconnectTimeout && !_reparenting) {
     URL.revokeObjectURL($('#localVideo')[0].src);
 
     var reconnectTimeout = _.random(0, 50);
     console.info('reconnect required detected, executing in random backoff of ' + reconnectTimeout + 'ms');
 
-    _reconnectTimeout = setTimeout(function(socket, _pcManager, _localPeerModel) {
+    _reconnectTimeout = setTimeout(function() {
       _reconnectTimeout = null;
 
       if (_isLive) {
         console.info('reconnect going...');
+        return connectUpstream();
+      } else {
+        console.info('reconnect was scheduled, but channel offline');
+      }
+    }, reconnectTimeout);
+  }
+}
 
-        var thatPeerConn;
+// connect to whatever upstream the server gives us and start watching it
+// anyone we relay to is switched over to the new stream as it arrives
+// if we're replacing an upstream, it's dropped only once the new one is up
+function connectUpstream(replaces) {
+  var thatPeerConn;
 
-        return createLocalPeerConnection(socket, _pcManager, _localPeerModel)
-          .then(function(peerConn) {
-            thatPeerConn = peerConn;
+  return createLocalPeerConnection(socket, _pcManager, _localPeerModel)
+    .then(function(peerConn) {
+      thatPeerConn = peerConn;
 
-            peerConn.pc.on('addStream', function(event) {
-              setUpstream(event.stream);
-              $('#localVideo')[0].src = URL.createObjectURL(event.stream);
+      peerConn.pc.on('addStream', function(event) {
+        var oldStream = _upstream;
 
-              $('#addVideo').hide();
-              $('#localVideo').fadeIn(800);
+        setUpstream(event.stream);
 
-              peerConn.finalize()
-                .error(function(err) {
-                  console.error('error in finalization bootstrap, removing peer connection', err);
-                  removeRemotePeerConnection(thatPeerConn);
-                });
-            });
+        if (oldStream !== event.stream) {
+          _.forEach(_pcManager.getChildren(), function(child) {
+            child.replaceStream(oldStream, event.stream);
+          });
+        }
+
+        $('#localVideo')[0].src = URL.createObjectURL(event.stream);
+
+        $('#addVideo').hide();
+        $('#localVideo').fadeIn(800);
+
+        peerConn.finalize()
+          .then(function() {
+            if (replaces) {
+              console.info('new upstream', peerConn.id, 'is up, dropping old upstream', replaces);
+              removeRemotePeerConnection(replaces);
+              replaces = null;
+            }
+
+            ensureStandbyParents();
           })
           .error(function(err) {
-            console.error('error in bootstrapping, removing peer connection', err);
-            removeRemotePeerConnection(thatPeerConn);
-          })
-          .catch(function(err) {
-            console.error('throw in bootstrapping, removing peer connection', err);
+            console.error('error in finalization bootstrap, removing peer connection', err);
             removeRemotePeerConnection(thatPeerConn);
           });
-      } else {
-        console.info('reconnect was scheduled, but channel offline');
-      }
-    }, reconnectTimeout, socket, _pcManager, _localPeerModel);
+      });
+
+      return peerConn;
+    })
+    .error(function(err) {
+      console.error('error in bootstrapping, removing peer connection', err);
+      removeRemotePeerConnection(thatPeerConn);
+    })
+    .catch(function(err) {
+      console.error('throw in bootstrapping, removing peer connection', err);
+      removeRemotePeerConnection(thatPeerConn);
+    });
+}
+
+// the server has picked a new upstream for us, usually because ours is going away
+// connect straight away rather than waiting to notice our upstream is gone
+function reparentUpstream(message) {
+  if (_isSourceBroadcaster || !_localPeerModel || _reparenting) return;
+
+  console.info('moving to a new upstream at the request of the server', message);
+
+  _reparenting = true;
+  clearTimeout(_reconnectTimeout);
+  _reconnectTimeout = null;
+
+  // for a handoff our current upstream is still going, so we keep it until the new one is up
+  connectUpstream(message.data && message.data.replaces)
+    .finally(function() {
+      _reparenting = false;
+    });
+}
+
+// let the server hand our children off to other peers before we go
+// resolves once they've all moved on, or we've waited long enough
+// it's then safe to close the socket, which tears down whatever is left
+function leaveChannel() {
+  if (!_localPeerModel) return Promise.resolve();
+
+  var giveUpAt = Date.now() + _leaveTimeout;
+
+  function waitForChildren() {
+    if (_pcManager.getChildren().length === 0 || Date.now() >= giveUpAt) return;
+    return Promise.delay(100).then(waitForChildren);
   }
+
+  return new Promise(function(resolve) {
+    socket.post('/peer/leave', { id: _localPeerModel.id }, resolve);
+  })
+    .then(function(peerLeave) {
+      if (peerLeave.status !== 200 || !peerLeave.handoffs) return;
+      return waitForChildren();
+    });
+}
+global.leaveChannel = leaveChannel;
+
+// tear everything down, our peer is already gone on the server
+function kickedFromChannel(data) {
+  _kicked = true;
+
+  console.warn(data.banned ? 'banned' : 'kicked', 'from channel', _channelId, 'because', data.reason);
+
+  _localPeerModel = null;
+  _peerToken = null;
+
+  // straight to destroying them, removing them one by one would go looking for new upstreams
+  _.forEach(_pcManager.getChildren().concat(_pcManager.getParents()), function(pc) {
+    pc.destroy('kicked');
+    _pcManager.remove(pc);
+  });
+
+  clearTimeout(_reconnectTimeout);
+  _reconnectTimeout = null;
+
+  $('#localVideo').hide();
+  $('#chatForm').remove();
+  $('#addVideo').attr('disabled', 'disabled');
+  $('#coHost').hide();
+  $('#peerId').text('?');
+  $('#liveness-indicator')
+    .text(data.banned ? 'banned' : 'kicked')
+    .attr('title', data.reason || '')
+    .removeClass('palette-alizarin')
+    .addClass('palette-asbestos');
+
+  window.alert('You were ' + (data.banned ? 'banned' : 'removed') + ' from this channel' +
+               (data.reason ? ': ' + data.reason : ''));
 }
 
 function handleChannelMessage(data) {
-  if (data.type === 'status') {
+  // nothing on this channel concerns us anymore
+  if (_kicked) return;
+
+  if (data.type === 'kicked') {
+    kickedFromChannel(data);
+  } else if (data.type === 'chat' || data.type === 'chatDeleted') {
+    if (_chatPanel) _chatPanel.handle(data);
+  } else if (data.type === 'status') {
     console.info('got channel status', data);
 
     // update number of peers
@@ -171,7 +379,8 @@ function handleChannelMessage(data) {
         if (data.live && !_isSourceBroadcaster) {
           $('#addVideo').attr('disabled', 'disabled');
 
-          var thatPeerConn;
+          // broadcasters can still co-host, but only if they ask to
+          if (_canBroadcast) $('#coHost').fadeIn(800);
 
           createOrGetPeer(_channelId, false)
             .then(function(peerModel) {
@@ -179,35 +388,15 @@ function handleChannelMessage(data) {
 
               $('#peerId').text(_localPeerModel.id);
 
-              return createLocalPeerConnection(socket, _pcManager, peerModel);
-            })
-            .then(function(peerConn) {
-              thatPeerConn = peerConn;
-
-              peerConn.pc.on('addStream', function(event) {
-                setUpstream(event.stream);
-
-                $('#localVideo')[0].src = URL.createObjectURL(event.stream);
-
-                $('#addVideo').hide();
-                $('#localVideo').fadeIn(800);
-
-                peerConn.finalize()
-                  .error(function(err) {
-                    console.error('error in finalization bootstrap, removing peer connection', err);
-                    removeRemotePeerConnection(thatPeerConn);
-                  });
-              });
+              return connectUpstream();
             })
             .error(function(err) {
-              console.error('error in bootstrapping, removing peer connection', err);
+              console.error('error in bootstrapping', err);
               //resetGlobalState();
-              removeRemotePeerConnection(thatPeerConn);
             })
             .catch(function(err) {
-              console.error('throw in bootstrapping, removing peer connection', err);
+              console.error('throw in bootstrapping', err);
               //resetGlobalState();
-              removeRemotePeerConnection(thatPeerConn);
             });
         } else if (_canBroadcast && !data.live) {
           // so if we are not live and are a broadcaster, give the user a chance to become one
@@ -219,6 +408,7 @@ function handleChannelMessage(data) {
       // channel was live but went offline
       if (_isLive && !data.live) {
         $('#addVideo').removeAttr('disabled');
+        $('#coHost').hide();
         $('#localVideo').hide();
 
         if (_canBroadcast) {
@@ -251,8 +441,22 @@ function setupCallbacks() {
   if (_setupCallbacks) return;
   _setupCallbacks = true;
 
-  socket.post('/channel/subscribe', { id: _channelId }, function gotChannelSubscribe(resp) {
-    console.info('got channel subscription', resp);
+  // time the subscription so we have a rough round trip to report when we become a peer
+  var subscribeStart = Date.now();
+
+  socket.post('/channel/subscribe', subscribeParams(), function gotChannelSubscribe(resp) {
+    _latency = Date.now() - subscribeStart;
+    console.info('got channel subscription', resp, 'in', _latency + 'ms');
+
+    // we'll hear about anything said from now on, so catch up on what came before
+    if ($('#chatPanel').length) {
+      _chatPanel = new ChatPanel(socket, _channelId, {
+        canModerate: $('#chatPanel').data('can-moderate') === true,
+        joinToken: _joinToken
+      });
+
+      _chatPanel.load();
+    }
   });
 
   socket.on('channel', function gotChannelPub(message) {
@@ -289,6 +493,20 @@ function setupCallbacks() {
       }
       break;
 
+    case 'reparent':
+      if (message.id === _localPeerModel.id) {
+        reparentUpstream(message);
+      }
+      break;
+
+    case 'connectionClosed':
+      // the server gave up on one of our connections, it'll be gone shortly anyway
+      if (message.id === _localPeerModel.id) {
+        console.warn('server closed peer conn', message.data.connection, 'because of', message.data.reason);
+        removeRemotePeerConnection(message.data.connection, message.data.reason);
+      }
+      break;
+
     default:
       console.info('unhandled peer pubsub', message.verb);
       break;
@@ -305,9 +523,13 @@ function setupCallbacks() {
 
     case 'updated':
       if (_pcManager.exists(message) && message.data.state) {
-        _pcManager.get(message).state = message.data.state;
+        _pcManager.get(message).setState(message.data.state);
         //handlePeerConnectionUpdated(message);
       }
+
+      if (_pcManager.exists(message) && _.has(message.data, 'standby')) {
+        _pcManager.get(message).standby = message.data.standby;
+      }
       break;
 
     default:
@@ -323,51 +545,146 @@ function setupCallbacks() {
         return false;
       }
 
-      getUserMediaAsync(getUserMediaConfig)
-        .then(function(stream) {
-          //_isLive = true; // very important
-          _isSourceBroadcaster = true;
-          return [createOrGetPeer(_channelId, _canBroadcast), stream];
-        })
-        .spread(function(peerModel, stream) {
-          _localPeerModel = peerModel;
-          _localPeerModel.stream = stream;
-          setUpstream(stream);
-
-          $('#peerId').text(_localPeerModel.id);
-          $('#localVideo')[0].src = URL.createObjectURL(stream);
-
-          $('#addVideo').hide();
-          $('#localVideo').fadeIn(800);
-        })
-        .error(function(err) {
-          console.error('error in bootstrapping', err);
-          _isSourceBroadcaster = false;
-          //resetGlobalState();
-        })
-        .catch(function(err) {
-          console.error('throw in bootstrapping', err);
-          _isSourceBroadcaster = false;
-          //resetGlobalState();
-        });
+      startBroadcasting();
+    });
+
+    // joining in on a channel that's already live, whoever's watching through us sees us from then on
+    $('#coHost').on('click', function(e) {
+      if (!_isLive || _isSourceBroadcaster) {
+        console.warn('broadcaster tried to co-host, but channel offline or already broadcasting');
+        return false;
+      }
+
+      if (!window.confirm('Start your own video and co-host? Anyone watching through you will see you instead.')) {
+        return false;
+      }
+
+      startBroadcasting();
     });
   }
 }
 
+// turn on our camera and root a tree of our own
+function startBroadcasting() {
+  getUserMediaAsync(getUserMediaConfig)
+    .then(function(stream) {
+      //_isLive = true; // very important
+      _isSourceBroadcaster = true;
+
+      // if we were watching someone else, we're our own root now
+      _.forEach(_pcManager.getParents(), removeRemotePeerConnection);
+
+      return [createOrGetPeer(_channelId, _canBroadcast), stream];
+    })
+    .spread(function(peerModel, stream) {
+      var oldStream = _upstream;
+
+      _localPeerModel = peerModel;
+      _localPeerModel.stream = stream;
+      setUpstream(stream);
+
+      // anyone we were relaying to gets our camera instead
+      _.forEach(_pcManager.getChildren(), function(child) {
+        child.replaceStream(oldStream, stream);
+      });
+
+      $('#peerId').text(_localPeerModel.id);
+      $('#localVideo')[0].src = URL.createObjectURL(stream);
+
+      $('#addVideo').hide();
+      $('#coHost').hide();
+      $('#localVideo').fadeIn(800);
+    })
+    .error(function(err) {
+      console.error('error in bootstrapping', err);
+      _isSourceBroadcaster = false;
+      //resetGlobalState();
+    })
+    .catch(function(err) {
+      console.error('throw in bootstrapping', err);
+      _isSourceBroadcaster = false;
+      //resetGlobalState();
+    });
+}
+
+// figure out how much we can relay to other peers
+// a user can declare their upload (in kbps) by setting p2pcast:uploadCapacity in localStorage
+// mobile devices shouldn't be relaying at all, so they declare nothing to spare
+function getUploadCapacity() {
+  var declared = parseFloat(window.localStorage && window.localStorage.getItem('p2pcast:uploadCapacity'));
+
+  if (!_.isNaN(declared) && declared >= 0) {
+    return { uploadCapacity: declared, capacitySource: 'declared' };
+  }
+
+  if (/Android|iPhone|iPad|iPod|Mobile/i.test(navigator.userAgent)) {
+    return { uploadCapacity: 0, capacitySource: 'declared' };
+  }
+
+  // let the server decide
+  return {};
+}
+
+function subscribeParams() {
+  var params = { id: _channelId };
+  if (_joinToken) params.joinToken = _joinToken;
+  return params;
+}
+
 function createOrGetPeer(channelId, isBroadcaster) {
+  var params = _.extend({ channel: channelId, broadcaster: isBroadcaster }, getUploadCapacity());
+  if (_.isNumber(_latency)) params.latency = _latency;
+  if (_peerToken) params.token = _peerToken;
+  if (_joinToken) params.joinToken = _joinToken;
+
   return new Promise(function(resolve, reject) {
-    socket.post('/peer/create', { channel: channelId, broadcaster: isBroadcaster }, function gotPeerCreate(peerModel) {
+    socket.post('/peer/create', params, function gotPeerCreate(peerModel) {
       if (!peerModel.id) {
         return reject(new Error('Could not create peer model'));
       }
 
+      _peerToken = peerModel.token;
       return resolve(peerModel);
     });
   });
 }
 
-function createLocalPeerConnection(socket, manager, peerModel) {
-  return PeerConnection.createLocal(socket, { model: peerModel })
+// our socket came back after going away, take our peer back so our connections carry on
+// if the server doesn't know us anymore, we start over as a new peer
+function reclaimPeer() {
+  var oldPeerModel = _localPeerModel;
+
+  socket.post('/channel/subscribe', subscribeParams());
+
+  return createOrGetPeer(_channelId, _isSourceBroadcaster)
+    .then(function(peerModel) {
+      peerModel.stream = oldPeerModel.stream;
+      _localPeerModel = peerModel;
+
+      if (peerModel.reclaimed && peerModel.id === oldPeerModel.id) {
+        console.info('reclaimed peer', peerModel.id, 'after reconnecting');
+        return;
+      }
+
+      console.warn('could not reclaim peer', oldPeerModel.id, 'after reconnecting, starting over as', peerModel.id);
+      $('#peerId').text(peerModel.id);
+
+      // none of our connections exist anymore, dropping our upstreams gets us a new one
+      _.forEach(_pcManager.getChildren(), function(child) {
+        removeRemotePeerConnection(child.id, 'peer_lost');
+      });
+
+      _.forEach(_pcManager.getParents(), function(parent) {
+        removeRemotePeerConnection(parent.id, 'peer_lost');
+      });
+    })
+    .catch(function(err) {
+      console.error('could not reclaim peer after reconnecting', err);
+    });
+}
+
+function createLocalPeerConnection(socket, manager, peerModel, init) {
+  return PeerConnection.createLocal(socket, _.extend({ model: peerModel }, init))
     .then(function(peerConn) {
       manager.set(peerConn);
       peerConn.startConnection();
@@ -375,6 +692,13 @@ function createLocalPeerConnection(socket, manager, peerModel) {
     });
 }
 
+// best effort, the page may well be gone before our children have moved
+$(window).on('beforeunload', function() {
+  if (_localPeerModel && !_isSourceBroadcaster) {
+    socket.post('/peer/leave', { id: _localPeerModel.id });
+  }
+});
+
 // Attach a listener which fires when a connection is established:
 socket.on('connect', function socketConnected() {
   console.log(
@@ -405,12 +729,29 @@ socket.on('connect', function socketConnected() {
     _channelId = parseInt($('#currentChannelId').text());
   }
 
+  if ($('#currentChannelParents').length) {
+    _channelParents = parseInt($('#currentChannelParents').text()) || 1;
+  }
+
+  if ($('#currentJoinToken').length) {
+    _joinToken = $('#currentJoinToken').text();
+  }
+
   // we're only interested if we're on a channel
   if (!_channelId) return;
 
   // we're a broadcaster if this is here
   if ($('#addVideo').length) _canBroadcast = true;
 
+  // nothing to come back to
+  if (_kicked) return;
+
+  // we were a peer before the socket dropped, so we're reconnecting rather than starting out
+  if (_setupCallbacks && _localPeerModel) {
+    reclaimPeer();
+    return;
+  }
+
   // if we're a broadcaster we're not interested in continuing at this point
   // we'll come back later to add video
   setupCallbacks();
@@ -10,10 +10,27 @@ $('#modifyChannel').on('click',function() {
   $('#channelModify').modal('show');
   var name = $(this).data('channel-name');
   var description = $(this).data('channel-description');
+  var topology = $(this).data('channel-topology');
+  var parents = $(this).data('channel-parents');
+  var visibility = $(this).data('channel-visibility');
+  var allowedUsers = $(this).data('channel-allowed-users');
+  var guestChat = $(this).data('channel-guest-chat');
   var id = $(this).data('channel-id');
   $('#channelName').val(name);
   $('#channelDescription').val(description);
+  $('#channelTopology').val(topology);
+  $('#channelParents').val(parents);
+  $('#channelVisibility').val(visibility).change();
+  $('#channelAllowedUsers').val(allowedUsers);
+  $('#channelGuestChat').prop('checked', guestChat === true);
 
   //add the channel id to the action
   $('#updateChannelForm').attr('action','/channel/update/' + id);
 });
+
+// only show what goes with the chosen visibility
+$('#channelVisibility').on('change', function() {
+  var visibility = $(this).val();
+  $('#channelPasswordGroup').toggle(visibility === 'password');
+  $('#channelAllowedUsersGroup').toggle(visibility === 'private');
+});
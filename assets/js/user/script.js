@@ -17,9 +17,20 @@ $('.modifyChannel').click(function(e) {
   //console.log($(this).data('channel-name'));
   var name = $(this).data('channel-name');
   var description = $(this).data('channel-description');
+  var topology = $(this).data('channel-topology');
+  var parents = $(this).data('channel-parents');
+  var visibility = $(this).data('channel-visibility');
+  var guestChat = $(this).data('channel-guest-chat');
   var id = $(this).data('channel-id');
   $('#channelName').val(name);
   $('#channelDescription').val(description);
+  $('#channelTopology').val(topology);
+  $('#channelParents').val(parents);
+  $('#channelVisibility').val(visibility).change();
+  $('#channelGuestChat').prop('checked', guestChat === true);
+
+  // the allow list isn't on this page, leave it as it is
+  $('#channelAllowedUsers').prop('disabled', true);
 
   //add the channel id to the action
   $('#updateChannelForm').attr('action','/channel/update/' + id);
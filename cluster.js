@@ -0,0 +1,137 @@
+/**
+ * cluster.js
+ *
+ * Runs several instances of the app, one per worker, that serve the same channels.
+ * Use this instead of `node app.js` to start a cluster (`npm run cluster`), see config/cluster.js.
+ *
+ * The master doesn't serve anything itself. It relays whatever one worker publishes to every
+ * other worker, and keeps track of who holds which lock. Workers listen on their own ports,
+ * starting from PORT (1337 by default), so put a sticky load balancer in front of them.
+ *
+ * P2PCAST_WORKERS sets how many workers to run, one per CPU by default.
+ */
+
+var cluster = require('cluster');
+var os = require('os');
+var _ = require('lodash');
+
+if (!cluster.isMaster) {
+  require('./app');
+  return;
+}
+
+var numWorkers = parseInt(process.env.P2PCAST_WORKERS, 10) || os.cpus().length;
+var basePort = parseInt(process.env.PORT, 10) || 1337;
+
+// worker index -> worker
+var workers = {};
+
+// lock name -> { holder: { worker, lockId }, queue: [{ worker, lockId }] }
+var locks = {};
+
+function envelope(type, payload) {
+  return { p2pcast: 'cluster', from: 'master', type: type, payload: payload };
+}
+
+function grant(name) {
+  var lock = locks[name];
+
+  while (!lock.holder && lock.queue.length !== 0) {
+    var next = lock.queue.shift();
+
+    // may have gone away while it was waiting
+    if (next.worker.isDead && next.worker.isDead()) continue;
+
+    lock.holder = next;
+    next.worker.send(envelope('locked', { name: name, lockId: next.lockId }));
+  }
+
+  if (!lock.holder) delete locks[name];
+}
+
+function release(name, lockId) {
+  var lock = locks[name];
+  if (!lock) return;
+
+  if (lock.holder && lock.holder.lockId === lockId) {
+    lock.holder = null;
+  } else {
+    // gave up before it got the lock
+    lock.queue = _.reject(lock.queue, { lockId: lockId });
+  }
+
+  grant(name);
+}
+
+// a worker that goes away doesn't get to keep its locks
+function releaseAll(worker) {
+  _.forEach(_.keys(locks), function(name) {
+    var lock = locks[name];
+
+    lock.queue = _.reject(lock.queue, function(waiting) {
+      return waiting.worker === worker;
+    });
+
+    if (lock.holder && lock.holder.worker === worker) lock.holder = null;
+
+    grant(name);
+  });
+}
+
+function onMessage(worker, message) {
+  if (!message || message.p2pcast !== 'cluster') return;
+
+  switch (message.type) {
+  case 'lock':
+    locks[message.payload.name] = locks[message.payload.name] || { holder: null, queue: [] };
+    locks[message.payload.name].queue.push({ worker: worker, lockId: message.payload.lockId });
+    grant(message.payload.name);
+    break;
+
+  case 'unlock':
+    release(message.payload.name, message.payload.lockId);
+    break;
+
+  default:
+    // everything else goes to everyone else
+    _.forEach(workers, function(other) {
+      if (other !== worker) other.send(message);
+    });
+    break;
+  }
+}
+
+function fork(index, reconcile) {
+  var worker = cluster.fork({
+    sails_port: basePort + index,
+    sails_cluster__enabled: 'true',
+    sails_cluster__transport: 'ipc',
+
+    // the first worker runs the jobs that should only run once
+    P2PCAST_CLUSTER_LEADER: index === 0 ? 'true' : 'false',
+
+    // and picks up whatever the peer store had from before, but only when the whole cluster starts
+    P2PCAST_CLUSTER_RECONCILE: reconcile ? 'true' : 'false'
+  });
+
+  workers[index] = worker;
+
+  worker.on('message', function(message) {
+    onMessage(worker, message);
+  });
+
+  worker.on('exit', function(code, signal) {
+    console.error('cluster: worker', index, 'exited with', signal || code, '- restarting it');
+
+    delete workers[index];
+    releaseAll(worker);
+
+    setTimeout(fork, 1000, index, false);
+  });
+}
+
+console.log('cluster: starting', numWorkers, 'workers on ports', basePort, 'to', basePort + numWorkers - 1);
+
+_.times(numWorkers, function(index) {
+  fork(index, index === 0);
+});
@@ -104,8 +104,10 @@ module.exports.blueprints = {
    * for the controller's`find`, `create`, `update`, and `destroy` actions.
    *
    * `shortcuts` are enabled by default, but SHOULD BE DISABLED IN PRODUCTION!!!!!
+   *
+   * They're only on in development here, and even then policies (see config/policies.js) decide who gets through.
    */
-  shortcuts: true,
+  shortcuts: (process.env.NODE_ENV || 'development') === 'development',
 
 
 
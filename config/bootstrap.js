@@ -53,7 +53,22 @@ module.exports.bootstrap = function (cb) {
     });
   };
 
+  // share what we publish with any other instances, see config/cluster.js
+  ClusterService.start();
+  sails.on('lower', ClusterService.stop);
+
+  // keep the trees in shape, see config/rebalance.js
+  RebalanceService.start();
+  sails.on('lower', RebalanceService.stop);
+
+  // pick up whatever overlay we had before a restart, see config/peerstore.js
   // It's very important to trigger this callack method when you are finished
   // with the bootstrap!  (otherwise your server will never lift, since it's waiting on the bootstrap)
-  cb();
+  PeerStoreService.reconcile()
+    .catch(function(err) {
+      sails.log.error('bootstrap: could not reconcile peer store, carrying on regardless', err);
+    })
+    .finally(function() {
+      cb();
+    });
 };
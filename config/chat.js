@@ -0,0 +1,25 @@
+/**
+ * Chat Configuration
+ *
+ * Every channel has a chat alongside the stream (see ChatService). Messages go out to everyone
+ * subscribed to the channel, and the last few are kept so newcomers see what's being said.
+ *
+ * Logged in users chat under their name. Viewers without an account can only chat when the
+ * channel's owner allows guests, under a handle they pick (or one that's made up for them).
+ */
+
+module.exports.chat = {
+
+  // longest message anyone can post, in characters
+  maxLength: 500,
+
+  // how many messages are sent to someone who just turned up, and the most they can ask for at once
+  historySize: 50,
+
+  // each chatter gets a bucket of `capacity` messages that refills at `refillRate` messages a second
+  rateLimit: {
+    capacity: 5,
+    refillRate: 0.5
+  }
+
+};
@@ -0,0 +1,30 @@
+/**
+ * Cluster Configuration
+ *
+ * Runs several Sails instances side by side for the same channels (see cluster.js at the root,
+ * `npm run cluster`). Instances share what they publish over a bus (see ClusterService), so a
+ * socket hears about its peers and connections no matter which instance made the change.
+ *
+ * For this to work:
+ *   - the peer store (see config/connections.js) has to be a database every instance can reach,
+ *     like mysql, postgresql or mongo. Neither sails-memory nor sails-disk will do, each instance
+ *     would only ever see its own peers, so the cluster refuses to start with them
+ *   - sessions need a shared store too (see config/session.js)
+ *   - sockets should stick to one instance, so put a sticky load balancer in front,
+ *     each worker listens on its own port (the base port plus its worker number)
+ */
+
+module.exports.cluster = {
+
+  // off, one instance serves everything
+  enabled: false,
+
+  // how instances talk to each other
+  //   ipc   - through the master process started by cluster.js
+  //   local - within a single process, for tests and trying things out
+  transport: 'ipc',
+
+  // the longest anyone waits on a lock held by another instance, in ms
+  lockTimeout: 10000
+
+};
@@ -32,6 +32,25 @@ module.exports.connections = {
     adapter: 'sails-memory',
   },
 
+  // Where peers and peer connections (the overlay) are kept
+  //
+  // In memory, a restart forgets every peer even though browsers still have their connections up.
+  // Switch to disk to keep them around, peers then get a while to reclaim their records
+  // when they reconnect (see config/peerstore.js):
+  //
+  //   peerStore: {
+  //     adapter: 'sails-disk',
+  //     fileName: 'peers.db'
+  //   },
+  //
+  // Both of those only work for a single instance. A cluster (see config/cluster.js) needs a database
+  // every instance can reach, one of the servers further down say, or peers that joined on one instance
+  // could never be matched with peers on another.
+  //
+  peerStore: {
+    adapter: 'sails-memory'
+  },
+
   // MySQL is the world's most popular relational database.
   // http://en.wikipedia.org/wiki/MySQL
   //
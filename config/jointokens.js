@@ -0,0 +1,23 @@
+/**
+ * Join Token Configuration
+ *
+ * Channel owners can hand out signed, expiring tokens that let viewers into a channel without
+ * an account, no matter its visibility (see ChannelController.token). Your own backend asks for
+ * them and passes them on, so who gets to watch is up to you.
+ *
+ * Tokens are signed with `secret`, so every instance has to share it. Changing it voids every
+ * token handed out so far. Without one, the session secret is used.
+ */
+
+module.exports.joinTokens = {
+
+  // what tokens are signed with, best set through the environment (sails_joinTokens__secret)
+  secret: null,
+
+  // how long a token is good for when the owner doesn't say, in seconds
+  defaultTtl: 3600,
+
+  // and the longest an owner can ask for
+  maxTtl: 2592000
+
+};
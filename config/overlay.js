@@ -0,0 +1,38 @@
+/**
+ * Overlay Configuration
+ *
+ * Settings that control how peers are arranged into the broadcast overlay,
+ * i.e. who relays the stream to whom.
+ *
+ * Peers report their upload capacity (in kbps) when they become a peer on a channel.
+ * That capacity is divided by the stream bitrate to work out how many children a peer
+ * is able to relay to. Peers that don't report anything get `defaultChildren`.
+ */
+
+module.exports.overlay = {
+
+  // approximate bitrate of a single relayed stream, in kbps
+  streamBitrate: 1500,
+
+  // how many children a peer relays to when it doesn't report its capacity
+  defaultChildren: 2,
+
+  // upper bound on children for any single peer, no matter how much it claims it can do
+  maxChildren: 8,
+
+  // connections to a peer in any state (reserved, connecting, etc) beyond this
+  // and the peer won't be considered as an upstream
+  maxShadowConnections: 3,
+
+  // latency in ms assumed for peers that don't report one (used by the latency topology)
+  defaultLatency: 100,
+
+  // how chooseUpstream weighs each candidate upstream
+  // score = slots * spareSlots - depth * depthInTree + quality * reportedQuality
+  weights: {
+    slots: 1,
+    depth: 2,
+    quality: 2
+  }
+
+};
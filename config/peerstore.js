@@ -0,0 +1,26 @@
+/**
+ * Peer Store Configuration
+ *
+ * Peers and peer connections live in the `peerStore` connection (see config/connections.js).
+ * When that's somewhere durable, the server finds the overlay it had before a restart
+ * when it starts up again, even though every socket is gone.
+ *
+ * Those peers are kept around for `reclaimWindow` ms. A peer that reconnects in that time
+ * and hands over the token it was given when it became a peer gets its old record back,
+ * along with its connections, so nobody has to rebuild their part of the tree.
+ * Whoever doesn't come back is cleaned up like any other peer that left.
+ *
+ * The same goes for a peer whose socket drops while the server carries on, it has `resumeWindow` ms
+ * to reconnect and take its record back before it's destroyed and its children are moved elsewhere.
+ */
+
+module.exports.peerStore = {
+
+  // how long peers from before a restart have to reclaim their records, in ms
+  reclaimWindow: 60000,
+
+  // how long a peer whose socket dropped has to reconnect and resume, in ms
+  // its children keep watching through it in the meantime, so don't make this too long
+  resumeWindow: 10000
+
+};
@@ -14,27 +14,70 @@
 
 module.exports.policies = {
 
-  // Default policy for all controllers and actions
-  // (`true` allows public access) 
-  '*': true
+  // Nothing is allowed unless it's listed below
+  // this keeps the blueprint actions (find, update, destroy, populate and the rest) shut,
+  // along with anything added to a controller before someone decides who gets to use it
+  //
+  // socketRateLimit goes first on anything sockets call, so even refused requests count against them
+  // (see config/socketguard.js)
+  '*': false,
 
-  /*
-	// Here's an example of adding some policies to a controller
-	RabbitController: {
+  AuthController: {
+    login: true,
+    logout: true
+  },
 
-		// Apply the `false` policy as the default for all of RabbitController's actions
-		// (`false` prevents all access, which ensures that nothing bad happens to our rabbits)
-		'*': false,
+  ChannelController: {
+    index: true,
+    show: true,
+    tree: 'socketRateLimit',
+    unlock: true,
 
-		// For the action `nurture`, apply the 'isRabbitMother' policy 
-		// (this overrides `false` above)
-		nurture	: 'isRabbitMother',
+    create: 'sessionAuth',
+    update: ['sessionAuth', 'isChannelOwner'],
+    destroy: ['sessionAuth', 'isChannelOwner'],
+    token: ['sessionAuth', 'isChannelOwner'],
+
+    subscribe: ['socketRateLimit', 'isSocket'],
+
+    // roles only go to users, these check the caller's role on the channel themselves (see PermissionService)
+    grant: 'sessionAuth',
+    revoke: 'sessionAuth',
+    kick: 'sessionAuth',
+    ban: 'sessionAuth',
+    unban: 'sessionAuth',
+    deleteChat: ['socketRateLimit', 'sessionAuth'],
+
+    // guests can chat where the owner lets them, ChatService sorts out who's who
+    chat: 'socketRateLimit',
+    chatHistory: 'socketRateLimit'
+  },
+
+  PeerController: {
+    create: ['socketRateLimit', 'isSocket'],
+    leave: ['socketRateLimit', 'isSocket', 'isPeerOwner'],
+    destroy: ['socketRateLimit', 'isSocket', 'isPeerOwner']
+  },
+
+  // only the two ends of a connection get any further, see PeerConnectionController
+  PeerConnectionController: {
+    create: ['socketRateLimit', 'isSocket'],
+    message: ['socketRateLimit', 'isSocket'],
+    destroy: ['socketRateLimit', 'isSocket'],
+    promote: ['socketRateLimit', 'isSocket'],
+    finalize: ['socketRateLimit', 'isSocket']
+  },
+
+  RtcController: {
+    config: 'socketRateLimit'
+  },
+
+  UserController: {
+    index: 'sessionAuth',
+    create: true,
+    update: 'sessionAuth'
+  }
 
-		// Apply the `isNiceToAnimals` AND `hasRabbitFood` policies
-		// before letting any users feed our rabbits
-		feed : ['isNiceToAnimals', 'hasRabbitFood']
-	}
-	*/
 };
 
 
@@ -0,0 +1,37 @@
+/**
+ * Rebalance Configuration
+ *
+ * Settings for the job that periodically tidies up each live channel's overlay.
+ *
+ * Placement happens one peer at a time as they join, and peers leaving only ever
+ * move their own children, so over time trees end up deeper and more lopsided than
+ * they need to be. Every `interval` ms the rebalancer looks at each live channel and,
+ * if a tree is too deep or too lopsided, moves a handful of peers closer to the top.
+ *
+ * Moves are make-before-break: a peer connects to its new parent before it drops the old one.
+ */
+
+module.exports.rebalance = {
+
+  // set to false to never run the rebalancer at all
+  enabled: true,
+
+  // how often to look at every live channel, in ms
+  interval: 60000,
+
+  // most peers moved in a single channel each time the rebalancer runs
+  maxMigrations: 2,
+
+  // a peer that was just moved is left alone for this long, in ms
+  cooldown: 300000,
+
+  // trees with anyone deeper than this get rebalanced
+  maxDepth: 4,
+
+  // trees where the deepest peer is more than this many levels below the shallowest spare slot get rebalanced
+  maxImbalance: 2,
+
+  // work out and log what would be moved, without actually moving anyone
+  dryRun: false
+
+};
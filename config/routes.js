@@ -43,7 +43,13 @@ module.exports.routes = {
 
   'get /channel/:id/tree': 'Channel.tree',
   'get /c/:id/tree': 'Channel.tree',
-  'get /c/:id-*/tree': 'Channel.tree'
+  'get /c/:id-*/tree': 'Channel.tree',
+
+  'get /rtc/config': 'Rtc.config',
+
+  'get /channel/:id/chat': 'Channel.chatHistory',
+  'post /channel/:id/chat': 'Channel.chat',
+  'delete /channel/:id/chat/:message': 'Channel.deleteChat'
 
   // If a request to a URL doesn't match any of the custom routes above, it is matched
   // against Sails route blueprints.  See `config/blueprints.js` for configuration options
@@ -0,0 +1,36 @@
+/**
+ * RTC Configuration
+ *
+ * What browsers are told to use when setting up their peer connections (see RtcController).
+ *
+ * STUN servers are handed out as is. TURN servers need credentials, which are made up fresh for
+ * every request using the TURN REST scheme: the username is `<expiry>:<who's asking>` and the password
+ * is the base64 HMAC-SHA1 of that username, keyed with a secret shared with the TURN server
+ * (`static-auth-secret` in coturn). Nothing has to be stored, and the credentials stop working by themselves.
+ *
+ * Leave `turn.secret` unset and no TURN servers are handed out, peers behind strict NATs won't connect.
+ */
+
+module.exports.rtc = {
+
+  // handed out to everyone as is
+  iceServers: [
+    { url: 'stun:stun.l.google.com:19302' },
+    { url: 'stun:stun1.l.google.com:19302' },
+    { url: 'stun:stun2.l.google.com:19302' },
+    { url: 'stun:stun3.l.google.com:19302' },
+    { url: 'stun:stun4.l.google.com:19302' }
+  ],
+
+  turn: {
+    // e.g. ['turn:turn.example.com:3478?transport=udp', 'turn:turn.example.com:3478?transport=tcp']
+    urls: [],
+
+    // shared with the TURN server, best set through the environment (sails_rtc__turn__secret)
+    secret: null,
+
+    // how long credentials are good for, in seconds
+    ttl: 86400
+  }
+
+};
@@ -0,0 +1,26 @@
+/**
+ * Signaling Configuration
+ *
+ * Peers set up their connections by messaging each other through the server (see
+ * PeerConnectionController#message). Everything relayed is checked against what that kind of
+ * message should look like first (see SignalingService), so a peer can't hand the other side
+ * something its browser will choke on.
+ *
+ * These are the limits that go with those checks.
+ */
+
+module.exports.signaling = {
+
+  // largest message relayed, in characters of JSON
+  maxMessageSize: 65536,
+
+  // longest session description (the `sdp` of an offer or answer), in characters
+  maxSdpLength: 32768,
+
+  // longest ICE candidate line, in characters
+  maxCandidateLength: 1024,
+
+  // longest reason given when closing a connection, in characters
+  maxReasonLength: 256
+
+};
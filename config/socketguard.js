@@ -0,0 +1,43 @@
+/**
+ * Socket Guard Configuration
+ *
+ * Who gets to open a socket, and how fast they get to use it (see SocketGuardService).
+ *
+ * When a socket connects, the page it came from has to be one of ours, anything else is turned
+ * away before it can make a single request. With `requireSession` it also has to bring the session
+ * cookie it was given when it loaded that page, which only works if sessions outlive a restart.
+ *
+ * After that, every socket gets a token bucket per action: `capacity` requests up front, refilling
+ * at `refillRate` requests a second. A socket that runs out is told to slow down (a 429) until it
+ * has tokens again, so one misbehaving client can't flood the signaling relay or grab every free
+ * slot in a channel. Actions are named `controller/action`, anything not listed gets `default`.
+ */
+
+module.exports.socketGuard = {
+
+  // origins (e.g. 'https://p2pcast.example.com') sockets can be opened from
+  // left empty, only pages served from the same host the socket connects to are let in
+  allowedOrigins: [],
+
+  // turn away sockets whose cookie doesn't match a session we handed out
+  // only turn this on with a session store that survives a restart (an adapter in config/session.js),
+  // with the default memory store every socket reconnecting after one would be refused and couldn't
+  // reclaim its peer, so it's ignored until there is one
+  requireSession: false,
+
+  budgets: {
+    default: { capacity: 20, refillRate: 2 },
+
+    // a peer's offers, answers and ice for all its connections, which come in bursts
+    'peerconnection/message': { capacity: 200, refillRate: 20 },
+
+    // each one takes a slot on some parent
+    'peerconnection/create': { capacity: 10, refillRate: 0.5 },
+
+    'peer/create': { capacity: 5, refillRate: 0.1 },
+
+    // the tree view polls this
+    'channel/tree': { capacity: 10, refillRate: 1 }
+  }
+
+};
@@ -8,9 +8,6 @@
  * http://sailsjs.org/#documentation
  */
 
-var _ = require('lodash');
-var Promise = require('bluebird');
-
 module.exports.sockets = {
 
   // This custom onConnect function will be run each time AFTER a new socket connects
@@ -36,8 +33,8 @@ module.exports.sockets = {
   onDisconnect: function(session, socket) {
     if (!session || !socket) return;
 
-    // we shall attempt to remove them as any peers
-    // this will cause a cascade of publishing
+    // their peers stick around for a bit in case the socket comes back (see config/peerstore.js)
+    // after that they're destroyed, which will cause a cascade of publishing
     var socketId = sails.sockets.id(socket);
 
     if (!socketId || !session.sockets) return;
@@ -45,30 +42,14 @@ module.exports.sockets = {
     delete session.sockets[socketId];
     session.save();
 
-    Peer.findBySocketId(socketId)
-      .populate('connections')
-      .then(function(peers) {
-        _.forEach(peers, function(peer) {
-          var previousPeer = peer.toObject();
-
-          sails.log.info('sockets#onDisconnect: destroying peer', peer);
-
-          Peer.destroy({ id: peer.id })
-            .then(function() {
-              Peer.publishDestroy(peer.id, null, { previous: previousPeer });
-              return [peer, Channel.findOne({ id: peer.channel }).populate('peers')];
-            })
-            .spread(function(peer, channel) {
-              if (_.some(channel.peers, { id: peer.id })) {
-                channel.peers.remove(peer.id);
-              }
-
-              return Promise.promisify(channel.save, channel)();
-            });
-        });
-      })
+    SocketGuardService.forget(socketId);
+
+    PeerStoreService.disconnect(socketId)
       .error(function(err) {
-        sails.log.error('sockets#onDisconnect: could not destroy peer', err);
+        sails.log.error('sockets#onDisconnect: could not disconnect peer', err);
+      })
+      .catch(function(err) {
+        sails.log.error('sockets#onDisconnect: Internal server error', err);
       });
   },
 
@@ -159,7 +140,11 @@ module.exports.sockets = {
    // to report an error, call `cb(err)`
    }
    */
-  authorization: true,
+  // ours checks where the socket came from and that it brought a session we know about,
+  // before sails loads that session as usual (see SocketGuardService and config/socketguard.js)
+  authorization: function authorizeAttemptedSocketConnection(handshake, accept) {
+    SocketGuardService.authorize(handshake, accept);
+  },
 
   // Match string representing the origins that are allowed to connect to the Socket.IO server
   origins: '*:*',
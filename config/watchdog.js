@@ -0,0 +1,36 @@
+/**
+ * Watchdog Configuration
+ *
+ * How long a peer connection may sit in each state on its way to `established`
+ * before the watchdog gives up on it and destroys it.
+ *
+ * Each timeout starts over whenever the connection moves to a new state, and
+ * `establishTimeout` caps the whole thing from when the connection was created.
+ * Both peers are told why their connection went away (see WatchdogService).
+ *
+ * Fast LANs can get away with much lower values, slow mobile networks may need more.
+ */
+
+module.exports.watchdog = {
+
+  // per state timeouts, in ms
+  timeouts: {
+    // reserved by the server, waiting on the initiator to start connecting
+    reserved: 10000,
+
+    // offer/answer and ice going back and forth
+    connecting: 15000,
+
+    // one side says it's connected, waiting on the other
+    init_established: 10000,
+    recv_established: 10000
+  },
+
+  // the most a connection gets to become established, in ms
+  establishTimeout: 45000,
+
+  // up to this much is randomly added to each timeout, in ms
+  // keeps a burst of connections from all being checked at once
+  jitter: 1000
+
+};
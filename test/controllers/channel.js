@@ -0,0 +1,312 @@
+describe('ChannelController', function() {
+  var owner, bob;
+
+  // just enough of a request to get through the actions, the session is whoever's logged in
+  var fakeRequest = function(session, params) {
+    params = params || {};
+
+    return {
+      isSocket: true,
+      socket: { id: 'channel-controller-socket' },
+      session: session,
+      sessionID: 'channel-controller-session',
+      param: function(name) {
+        return params[name];
+      }
+    };
+  };
+
+  // resolves with whatever status the action responded with
+  var fakeResponse = function(resolve) {
+    var respond = function(status) {
+      return function(body) {
+        resolve({ status: status, body: body });
+      };
+    };
+
+    return {
+      json: function(body, status) { resolve({ status: status || body.status, body: body }); },
+      badRequest: respond(400),
+      ok: respond(200),
+      forbidden: respond(403),
+      notFound: respond(404),
+      serverError: respond(500)
+    };
+  };
+
+  var call = function(action, session, params) {
+    return new Promise(function(resolve) {
+      sails.controllers.channel[action](fakeRequest(session, params), fakeResponse(resolve));
+    });
+  };
+
+  before(function(done) {
+    Promise.join(User.findOneByEmail('professor@ucsb.edu'), User.findOneByEmail('bob@aol.com'))
+      .spread(function(professor, user) {
+        owner = { user: { id: professor.id } };
+        bob = user;
+        done();
+      })
+      .catch(done);
+  });
+
+  describe('#kick()', function() {
+    var channel;
+
+    before(function(done) {
+      Channel.create({ name: 'Bouncer', owner: owner.user.id })
+        .then(function(created) {
+          channel = created;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should kick the peer out of the channel', function(done) {
+      Peer.create({ socketId: 'kick-controller', channel: channel.id, broadcaster: false })
+        .then(function(peer) {
+          return [peer, call('kick', owner, { id: channel.id, peer: peer.id, reason: 'spam' })];
+        })
+        .spread(function(peer, response) {
+          response.status.should.equal(200);
+          return Peer.findOneById(peer.id);
+        })
+        .then(function(found) {
+          expect(found).to.not.exist;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should not let anyone but a moderator kick', function(done) {
+      Peer.create({ socketId: 'kick-controller-stays', channel: channel.id, broadcaster: false })
+        .then(function(peer) {
+          return [peer, call('kick', { user: { id: bob.id } }, { id: channel.id, peer: peer.id })];
+        })
+        .spread(function(peer, response) {
+          response.status.should.equal(403);
+          return Peer.findOneById(peer.id);
+        })
+        .then(function(found) {
+          expect(found).to.exist;
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('#ban()', function() {
+    var channel;
+
+    before(function(done) {
+      Channel.create({ name: 'Ban Hammer', owner: owner.user.id })
+        .then(function(created) {
+          channel = created;
+          done();
+        })
+        .catch(done);
+    });
+
+    afterEach(function(done) {
+      Ban.destroy({ channel: channel.id })
+        .then(function() {
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should ban for good when there is no duration', function(done) {
+      call('ban', owner, { id: channel.id, email: bob.email })
+        .then(function(response) {
+          response.status.should.equal(200);
+          expect(response.body.ban.expiresAt).to.be.null;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should ban for as many minutes as it is told to', function(done) {
+      var before = Date.now();
+
+      call('ban', owner, { id: channel.id, email: bob.email, duration: '30' })
+        .then(function(response) {
+          response.status.should.equal(200);
+
+          var expiresAt = new Date(response.body.ban.expiresAt).getTime();
+          expiresAt.should.be.within(before + 30 * 60000, Date.now() + 30 * 60000);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should kick the peer it bans', function(done) {
+      Peer.create({ socketId: 'ban-controller', channel: channel.id, broadcaster: false, user: bob.id })
+        .then(function(peer) {
+          return [peer, call('ban', owner, { id: channel.id, peer: peer.id })];
+        })
+        .spread(function(peer, response) {
+          response.status.should.equal(200);
+          response.body.ban.user.should.equal(bob.id);
+          return Peer.findOneById(peer.id);
+        })
+        .then(function(found) {
+          expect(found).to.not.exist;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should refuse a duration that makes no sense', function(done) {
+      Promise.all([
+        call('ban', owner, { id: channel.id, email: bob.email, duration: '0' }),
+        call('ban', owner, { id: channel.id, email: bob.email, duration: '-5' }),
+        call('ban', owner, { id: channel.id, email: bob.email, duration: 'forever' })
+      ])
+        .then(function(responses) {
+          _.uniq(_.pluck(responses, 'status')).should.eql([400]);
+
+          return Ban.find({ channel: channel.id });
+        })
+        .then(function(bans) {
+          bans.should.be.empty;
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('#chat()', function() {
+    var channel, hidden, session;
+    var guest = {};
+
+    // one after another, resolves with the statuses
+    var chatTimes = function(times, session, channelId) {
+      return Promise.reduce(_.times(times), function(statuses, i) {
+        return call('chat', session, { id: channelId || channel.id, text: 'message ' + i })
+          .then(function(response) {
+            return statuses.concat(response.status);
+          });
+      }, []);
+    };
+
+    before(function(done) {
+      session = { user: { id: bob.id, name: bob.name } };
+
+      Promise.join(Channel.create({ name: 'Chatterbox', owner: owner.user.id }),
+                   Channel.create({ name: 'Invite Only', owner: owner.user.id, visibility: 'private' }))
+        .spread(function(created, invitation) {
+          channel = created;
+          hidden = invitation;
+          done();
+        })
+        .catch(done);
+    });
+
+    beforeEach(function() {
+      ChatService.limiter().reset(ChatService.chatterKey(fakeRequest(session)));
+      ChatService.limiter().reset(ChatService.chatterKey(fakeRequest(guest)));
+    });
+
+    after(function(done) {
+      Promise.join(ChatMessage.destroy({ channel: [channel.id, hidden.id] }), Ban.destroy({ channel: channel.id }))
+        .then(function() {
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should let anyone who can see the channel chat', function(done) {
+      call('chat', session, { id: channel.id, text: 'hello' })
+        .then(function(response) {
+          response.status.should.equal(200);
+          response.body.message.handle.should.equal(bob.name);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should refuse anyone who can not see the channel', function(done) {
+      chatTimes(1, session, hidden.id)
+        .then(function(statuses) {
+          statuses.should.eql([403]);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should only let guests chat when the channel allows it', function(done) {
+      chatTimes(1, guest)
+        .then(function(statuses) {
+          statuses.should.eql([403]);
+
+          return Channel.update({ id: channel.id }, { guestChat: true });
+        })
+        .then(function() {
+          return call('chat', guest, { id: channel.id, text: 'hi', handle: 'lurker' });
+        })
+        .then(function(response) {
+          response.status.should.equal(200);
+          response.body.message.handle.should.equal('lurker');
+          response.body.message.guest.should.be.true;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should refuse anyone banned, without using up their messages', function(done) {
+      var capacity = sails.config.chat.rateLimit.capacity;
+
+      ModerationService.ban(channel, { user: bob.id })
+        .then(function() {
+          return chatTimes(capacity + 1, session);
+        })
+        .then(function(statuses) {
+          _.uniq(statuses).should.eql([403]);
+
+          return Ban.destroy({ channel: channel.id });
+        })
+        .then(function() {
+          return chatTimes(1, session);
+        })
+        .then(function(statuses) {
+          statuses.should.eql([200]);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should slow down anyone who chats too much', function(done) {
+      var capacity = sails.config.chat.rateLimit.capacity;
+
+      chatTimes(capacity, session)
+        .then(function(statuses) {
+          _.uniq(statuses).should.eql([200]);
+
+          return call('chat', session, { id: channel.id, text: 'one more' });
+        })
+        .then(function(response) {
+          response.status.should.equal(429);
+          response.body.retryAfter.should.be.above(0);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('#unlock()', function() {
+
+    it('should answer a channel that does not exist with a not found', function(done) {
+      call('unlock', {}, { id: 'no-such-channel', password: 'hunter2' })
+        .then(function(response) {
+          response.status.should.equal(404);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+});
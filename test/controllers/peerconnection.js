@@ -0,0 +1,323 @@
+describe('PeerConnectionController', function() {
+
+  // just enough of a socket request to get through the signaling actions
+  var fakeRequest = function(socketId, params) {
+    params = params || {};
+
+    return {
+      isSocket: true,
+      socket: { id: socketId },
+      session: {},
+      param: function(name) {
+        return params[name];
+      }
+    };
+  };
+
+  // resolves with whatever status the action responded with, as long as it only responded once
+  var fakeResponse = function(resolve, reject) {
+    var responses = [];
+
+    var answer = function(response) {
+      responses.push(response);
+      if (responses.length > 1) return;
+
+      // give a second response the chance to turn up
+      setTimeout(function() {
+        if (responses.length > 1) return reject(new Error('responded ' + _.pluck(responses, 'status').join(' then ')));
+        resolve(response);
+      }, 10);
+    };
+
+    var respond = function(status) {
+      return function(body) {
+        answer({ status: status, body: body });
+      };
+    };
+
+    return {
+      json: function(body) { answer({ status: body.status, body: body }); },
+      badRequest: respond(400),
+      forbidden: respond(403),
+      notFound: respond(404),
+      serverError: respond(500)
+    };
+  };
+
+  var offer = { type: 'offer', payload: { type: 'offer', sdp: 'v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n' } };
+
+  var call = function(action, socketId, params) {
+    return new Promise(function(resolve, reject) {
+      sails.controllers.peerconnection[action](fakeRequest(socketId, params), fakeResponse(resolve, reject));
+    });
+  };
+
+  describe('#create()', function() {
+    var channel, broadcaster, viewers;
+    var numViewers = 40;
+    var slots = 3;
+    var originals = {};
+
+    before(function(done) {
+      // sockets are fake, so there's no one to subscribe or publish to
+      _.forEach(['subscribe', 'publishCreate'], function(method) {
+        originals['PeerConnection.' + method] = PeerConnection[method];
+        PeerConnection[method] = function() {};
+      });
+
+      originals['Peer.subscribe'] = Peer.subscribe;
+      Peer.subscribe = function() {};
+
+      Channel.create({ name: 'Reservation Race', owner: 1 })
+        .then(function(created) {
+          channel = created;
+
+          // nobody but the broadcaster has any upload to spare
+          return Peer.create({ socketId: 'race-broadcaster', channel: channel.id, broadcaster: true,
+                               uploadCapacity: sails.config.overlay.streamBitrate * slots });
+        })
+        .then(function(created) {
+          broadcaster = created;
+
+          return Promise.all(_.times(numViewers, function(i) {
+            return Peer.create({ socketId: 'race-viewer-' + i, channel: channel.id, broadcaster: false, uploadCapacity: 0 });
+          }));
+        })
+        .then(function(created) {
+          viewers = created;
+          done();
+        })
+        .catch(done);
+    });
+
+    after(function() {
+      PeerConnection.subscribe = originals['PeerConnection.subscribe'];
+      PeerConnection.publishCreate = originals['PeerConnection.publishCreate'];
+      Peer.subscribe = originals['Peer.subscribe'];
+    });
+
+    it('should never give out more slots than a parent has, no matter how many ask at once', function(done) {
+      var requests = _.map(viewers, function(viewer) {
+        return call('create', viewer.socketId);
+      });
+
+      Promise.all(requests)
+        .then(function(responses) {
+          _.filter(responses, { status: 200 }).length.should.equal(slots);
+
+          return Peer.findOneById(broadcaster.id).populate('connections');
+        })
+        .then(function(peer) {
+          peer.getChildrenConnections().length.should.equal(slots);
+          _.uniq(_.pluck(peer.getChildrenConnections(), 'initiator')).length.should.equal(slots);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('#create() with an assigned upstream', function() {
+    var full, roomy;
+    var originals = {};
+
+    var makeViewer = function(socketId) {
+      return Peer.create({ socketId: socketId, channel: full.channel, broadcaster: false, uploadCapacity: 0 });
+    };
+
+    before(function(done) {
+      _.forEach(['subscribe', 'publishCreate'], function(method) {
+        originals['PeerConnection.' + method] = PeerConnection[method];
+        PeerConnection[method] = function() {};
+      });
+
+      originals['Peer.subscribe'] = Peer.subscribe;
+      Peer.subscribe = function() {};
+
+      Channel.create({ name: 'Stale Assignments', owner: 1 })
+        .then(function(channel) {
+          // one slot on one, plenty on the other
+          return Promise.all([
+            Peer.create({ socketId: 'assigned-full', channel: channel.id, broadcaster: true,
+                          uploadCapacity: sails.config.overlay.streamBitrate }),
+            Peer.create({ socketId: 'assigned-roomy', channel: channel.id, broadcaster: true,
+                          uploadCapacity: sails.config.overlay.streamBitrate * 3 })
+          ]);
+        })
+        .spread(function(one, other) {
+          full = one;
+          roomy = other;
+          done();
+        })
+        .catch(done);
+    });
+
+    after(function() {
+      PeerConnection.subscribe = originals['PeerConnection.subscribe'];
+      PeerConnection.publishCreate = originals['PeerConnection.publishCreate'];
+      Peer.subscribe = originals['Peer.subscribe'];
+    });
+
+    it('should only let one of two peers assigned the same last slot have it', function(done) {
+      // say the rebalancer and a departing peer both picked the same upstream from what they saw at the time
+      Promise.all([makeViewer('assigned-racer-1'), makeViewer('assigned-racer-2')])
+        .then(function(racers) {
+          _.forEach(racers, function(racer) {
+            OverlayService.assign(racer.id, full.id);
+          });
+
+          return Promise.all(_.map(racers, function(racer) {
+            return call('create', racer.socketId);
+          }));
+        })
+        .then(function(responses) {
+          _.pluck(responses, 'status').should.eql([200, 200]);
+          _.pluck(_.pluck(_.pluck(responses, 'body'), 'connection'), 'endpoint').sort()
+            .should.eql([full.id, roomy.id].sort());
+
+          return Peer.findOneById(full.id).populate('connections');
+        })
+        .then(function(peer) {
+          peer.getChildrenConnections().length.should.equal(1);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should choose another upstream if the assigned one is on its way out', function(done) {
+      Peer.update({ id: roomy.id }, { leaving: true })
+        .then(function() {
+          return Peer.create({ socketId: 'assigned-other-roomy', channel: full.channel, broadcaster: true,
+                               uploadCapacity: sails.config.overlay.streamBitrate * 3 });
+        })
+        .then(function(other) {
+          // a waterline query runs again every time it's then'd, so it can't go in the array
+          return makeViewer('assigned-to-leaver').then(function(viewer) {
+            return [other, viewer];
+          });
+        })
+        .spread(function(other, viewer) {
+          OverlayService.assign(viewer.id, roomy.id);
+
+          return [other, call('create', viewer.socketId)];
+        })
+        .spread(function(other, response) {
+          response.status.should.equal(200);
+          response.body.connection.endpoint.should.equal(other.id);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('signaling from a third party', function() {
+    var initiator, endpoint, stranger, peerConn;
+    var originals = {};
+
+    before(function(done) {
+      _.forEach(['subscribe', 'message', 'publishUpdate', 'publishDestroy'], function(method) {
+        originals[method] = PeerConnection[method];
+        PeerConnection[method] = function() {};
+      });
+
+      Channel.create({ name: 'Eavesdropping', owner: 1 })
+        .then(function(channel) {
+          return Promise.all([
+            Peer.create({ socketId: 'signal-broadcaster', channel: channel.id, broadcaster: true }),
+            Peer.create({ socketId: 'signal-viewer', channel: channel.id, broadcaster: false }),
+            Peer.create({ socketId: 'signal-stranger', channel: channel.id, broadcaster: false })
+          ]);
+        })
+        .spread(function(broadcaster, viewer, other) {
+          endpoint = broadcaster;
+          initiator = viewer;
+          stranger = other;
+
+          return PeerConnection.create({ initiator: initiator.id, endpoint: endpoint.id, state: 'reserved' });
+        })
+        .then(function(created) {
+          peerConn = created;
+          done();
+        })
+        .catch(done);
+    });
+
+    after(function() {
+      _.forEach(originals, function(original, method) {
+        PeerConnection[method] = original;
+      });
+    });
+
+    it('should refuse to relay a message from a socket on neither end', function(done) {
+      var relayed = false;
+      PeerConnection.message = function() { relayed = true; };
+
+      call('message', stranger.socketId, { id: peerConn.id, data: offer })
+        .then(function(response) {
+          response.status.should.equal(403);
+          relayed.should.be.false;
+
+          return PeerConnection.findOneById(peerConn.id);
+        })
+        .then(function(unchanged) {
+          unchanged.state.should.equal('reserved');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should refuse to finalize for a socket on neither end', function(done) {
+      call('finalize', stranger.socketId, { id: peerConn.id })
+        .then(function(response) {
+          response.status.should.equal(403);
+
+          return PeerConnection.findOneById(peerConn.id);
+        })
+        .then(function(unchanged) {
+          unchanged.state.should.equal('reserved');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should refuse to destroy for a socket on neither end', function(done) {
+      call('destroy', stranger.socketId, { id: peerConn.id })
+        .then(function(response) {
+          response.status.should.equal(403);
+
+          return PeerConnection.findOneById(peerConn.id);
+        })
+        .then(function(unchanged) {
+          unchanged.id.should.equal(peerConn.id);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should refuse to relay a malformed message even from an end', function(done) {
+      call('message', initiator.socketId, { id: peerConn.id, data: { type: 'offer', payload: { type: 'offer', sdp: 'nonsense' } } })
+        .then(function(response) {
+          response.status.should.equal(400);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should still let either end signal', function(done) {
+      call('message', initiator.socketId, { id: peerConn.id, data: offer })
+        .then(function(response) {
+          response.status.should.equal(200);
+
+          return call('destroy', endpoint.socketId, { id: peerConn.id });
+        })
+        .then(function(response) {
+          response.status.should.equal(200);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+});
@@ -8,53 +8,191 @@ describe('Peer', function() {
       });
     });
 
+    it('should give peers ids nobody can guess', function(done) {
+      Promise.all([
+        Peer.create({ socketId: 'opaque-1', channel: 1, broadcaster: false }),
+        Peer.create({ socketId: 'opaque-2', channel: 1, broadcaster: false })
+      ])
+        .spread(function(first, second) {
+          first.id.should.match(/^[0-9a-f]{32}$/);
+          second.id.should.match(/^[0-9a-f]{32}$/);
+          first.id.should.not.equal(second.id);
+
+          return Peer.findOneById(first.id);
+        })
+        .then(function(found) {
+          found.socketId.should.equal('opaque-1');
+          done();
+        })
+        .catch(done);
+    });
+
   });
 
   describe('#canRebroadcast()', function() {
+    var peers = {};
+
+    // hooks the initiator up to the endpoint, with the connection on both of them like the controller does it
+    var connect = function(initiator, endpoint, state) {
+      return PeerConnection.create({ initiator: initiator.id, endpoint: endpoint.id, state: state })
+        .then(function(peerConn) {
+          return Promise.all(_.map([initiator, endpoint], function(peer) {
+            return Peer.findOneById(peer.id).populate('connections')
+              .then(function(found) {
+                found.connections.add(peerConn.id);
+                return Promise.promisify(found.save, found)();
+              });
+          }));
+        });
+    };
+
+    // fetched fresh, with whatever connections they have now
+    var find = function(name) {
+      return Peer.findOneById(peers[name].id).populate('connections');
+    };
+
+    before(function(done) {
+      var states = {
+        established: 'established',
+        connecting: 'connecting',
+        initEstablished: 'init_established',
+        recvEstablished: 'recv_established'
+      };
+
+      Peer.create({ socketId: 'rebroadcast-broadcaster', channel: 1, broadcaster: true })
+        .then(function(broadcaster) {
+          peers.broadcaster = broadcaster;
+
+          return Promise.all(_.map(states, function(state, name) {
+            return Peer.create({ socketId: 'rebroadcast-' + name, channel: 1, broadcaster: false })
+              .then(function(peer) {
+                peers[name] = peer;
+                return connect(peer, broadcaster, state);
+              });
+          }));
+        })
+        .then(function() {
+          done();
+        })
+        .catch(done);
+    });
 
     it('should allow rebroadcasting if it is a broadcaster', function(done) {
-      Peer.findOneById(1).populate('parent').exec(function(err, peer) {
-	expect(err).to.not.exist;
-	expect(peer).to.exist;
-	peer.canRebroadcast().should.be.true;
-	done();
-      });
+      find('broadcaster')
+        .then(function(peer) {
+          peer.canRebroadcast().should.be.true;
+          done();
+        })
+        .catch(done);
     });
 
     it('should allow rebroadcasting if parent link is established', function(done) {
-      Peer.findOneById(2).populate('parent').exec(function(err, peer) {
-        expect(err).to.not.exist;
-        expect(peer).to.exist;
-        peer.canRebroadcast().should.be.true;
-        done();
-      });
+      find('established')
+        .then(function(peer) {
+          peer.canRebroadcast().should.be.true;
+          done();
+        })
+        .catch(done);
     });
 
     it('should not allow rebroadcasting if parent link is connecting', function(done) {
-      Peer.findOneBySocketID('dummy4').populate('parent').exec(function(err, peer) {
-        expect(err).to.not.exist;
-        expect(peer).to.exist;
-        peer.canRebroadcast().should.be.false;
-        done();
-      });
+      find('connecting')
+        .then(function(peer) {
+          peer.canRebroadcast().should.be.false;
+          done();
+        })
+        .catch(done);
     });
 
     it('should not allow rebroadcasting if parent link is only init established', function(done) {
-      Peer.findOneBySocketID('dummy6').populate('parent').exec(function(err, peer) {
-        expect(err).to.not.exist;
-        expect(peer).to.exist;
-        peer.canRebroadcast().should.be.false;
-        done();
-      });
+      find('initEstablished')
+        .then(function(peer) {
+          peer.canRebroadcast().should.be.false;
+          done();
+        })
+        .catch(done);
     });
 
     it('should not allow rebroadcasting if parent link is only recv established', function(done) {
-      Peer.findOneBySocketID('dummy8').populate('parent').exec(function(err, peer) {
-        expect(err).to.not.exist;
-        expect(peer).to.exist;
-        peer.canRebroadcast().should.be.false;
-        done();
-      });
+      find('recvEstablished')
+        .then(function(peer) {
+          peer.canRebroadcast().should.be.false;
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('.getMaxChildren()', function() {
+
+    it('should give the default to peers that did not report capacity', function() {
+      Peer.getMaxChildren({}).should.equal(sails.config.overlay.defaultChildren);
+    });
+
+    it('should give no children to peers with no upload to spare', function() {
+      Peer.getMaxChildren({ uploadCapacity: 0 }).should.equal(0);
+    });
+
+    it('should scale children with upload capacity up to the limit', function() {
+      var bitrate = sails.config.overlay.streamBitrate;
+      Peer.getMaxChildren({ uploadCapacity: bitrate * 3 }).should.equal(3);
+      Peer.getMaxChildren({ uploadCapacity: bitrate * 1000 }).should.equal(sails.config.overlay.maxChildren);
+    });
+
+  });
+
+  describe('#chooseUpstream()', function() {
+    var bitrate, peer;
+
+    var node = function(id, depth, uploadCapacity, quality, children) {
+      return { id: id, _depth: depth, uploadCapacity: uploadCapacity, quality: quality,
+               _shadowConnections: [], children: children || [] };
+    };
+
+    before(function(done) {
+      bitrate = sails.config.overlay.streamBitrate;
+
+      Peer.create({ socketId: 'choose-upstream', channel: 1, broadcaster: false })
+        .then(function(created) {
+          peer = created;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should never choose a peer with no upload to spare', function() {
+      var root = node(100, 0, bitrate, 1, [
+        node(101, 1, 0, 1),
+        node(102, 1, bitrate * 4, 1)
+      ]);
+
+      // root is full with two children, 101 can't relay, so 102 is the only choice
+      peer.chooseUpstream(root).id.should.equal(102);
+    });
+
+    it('should prefer peers with more spare slots', function() {
+      var root = node(100, 0, bitrate * 2, 1, [
+        node(101, 1, bitrate, 1),
+        node(102, 1, bitrate * 8, 1)
+      ]);
+
+      peer.chooseUpstream(root).id.should.equal(102);
+    });
+
+    it('should prefer peers with better reported quality', function() {
+      var root = node(100, 0, bitrate * 2, 1, [
+        node(101, 1, bitrate * 3, 0.1),
+        node(102, 1, bitrate * 3, 0.9)
+      ]);
+
+      peer.chooseUpstream(root).id.should.equal(102);
+    });
+
+    it('should return nothing when every peer is full', function() {
+      var root = node(100, 0, bitrate, 1, [node(101, 1, 0, 1)]);
+
+      expect(peer.chooseUpstream(root)).to.not.exist;
     });
 
   });
@@ -8,68 +8,102 @@ describe('PeerConnection', function() {
       });
     });
 
-  });
+    it('should give peer connections ids nobody can guess', function(done) {
+      Promise.all([
+        Peer.create({ socketId: 'opaque-endpoint', channel: 1, broadcaster: true }),
+        Peer.create({ socketId: 'opaque-initiator', channel: 1, broadcaster: false })
+      ])
+        .spread(function(endpoint, initiator) {
+          return PeerConnection.create({ endpoint: endpoint.id, initiator: initiator.id, state: 'reserved' });
+        })
+        .then(function(peerConn) {
+          peerConn.id.should.match(/^[0-9a-f]{32}$/);
 
-  describe('#getPeerEndpoint()', function() {
-
-    it('should error if not given a peer', function(done) {
-      PeerConnection.findOneById(1).populate('initiator').populate('receiver').exec(function(err, peerConn) {
-	expect(err).to.not.exist;
-	expect(peerConn).to.exist;
-
-	peerConn.getPeerEndpoint('a string').then(function(remotePeer) {
-	  expect(remotePeer).to.not.exist;
-	  done();
-	}).catch(function(e) {
-	  expect(e).to.exist;
-	  expect(e).to.be.an.instanceof(Error);
-	  done();
-	}).done();
-      });
+          return PeerConnection.findOneById(peerConn.id).populate('initiator');
+        })
+        .then(function(found) {
+          found.initiator.socketId.should.equal('opaque-initiator');
+          done();
+        })
+        .catch(done);
     });
 
-    describe('returning peer endpoints', function() {
-      var peer1, peer2;
-
-      before(function(done) {
-	Peer.findOneBySocketID('dummy1').populate('parent').populate('children').exec(function(err, peer) {
-	  if (err) done(err);
+  });
 
-	  peer1 = peer;
-	  if (peer1 && peer2) done();
-	});
+  describe('.getOppositePeer()', function() {
+    var initiator, endpoint, peerConn;
 
-        Peer.findOneBySocketID('dummy8').populate('parent').populate('children').exec(function(err, peer) {
-          if (err) done(err);
+    before(function(done) {
+      Promise.all([
+        Peer.create({ socketId: 'opposite-endpoint', channel: 1, broadcaster: true }),
+        Peer.create({ socketId: 'opposite-initiator', channel: 1, broadcaster: false })
+      ])
+        .spread(function(createdEndpoint, createdInitiator) {
+          endpoint = createdEndpoint;
+          initiator = createdInitiator;
 
-          peer2 = peer;
-          if (peer1 && peer2) done();
-        });
-      });
+          return PeerConnection.create({ endpoint: endpoint.id, initiator: initiator.id, state: 'established' });
+        })
+        .then(function(created) {
+          peerConn = created;
+          done();
+        })
+        .catch(done);
+    });
 
-      it('should return the other end from one peer connection', function(done) {
-        peer2.parent.getPeerEndpoint(peer2).then(function(endpointPeer) {
-          expect(endpointPeer).to.exist;
-          expect(endpointPeer.id).to.equal(1);
+    it('should return the other end from one peer connection', function(done) {
+      PeerConnection.getOppositePeer(peerConn, initiator)
+        .then(function(oppositePeer) {
+          expect(oppositePeer).to.exist;
+          expect(oppositePeer.id).to.equal(endpoint.id);
           done();
-        }).catch(function(e) {
-          expect(e).to.not.exist;
+        })
+        .catch(done);
+    });
+
+    it('should return the exact opposite end going back', function(done) {
+      PeerConnection.getOppositePeer(peerConn, endpoint)
+        .then(function(oppositePeer) {
+          expect(oppositePeer).to.exist;
+          expect(oppositePeer.id).to.equal(initiator.id);
           done();
-        }).done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('#transition()', function() {
+    var PeerConnectionStates = require('../../assets/js/PeerConnectionStates');
+
+    it('should refuse to go backwards', function(done) {
+      PeerConnection.transition({ id: 1, state: 'established' }, 'connecting').then(function() {
+        done(new Error('should not have transitioned'));
+      }).catch(function(e) {
+        expect(e).to.be.an.instanceof(PeerConnectionStates.InvalidTransitionError);
+        expect(e.from).to.equal('established');
+        expect(e.to).to.equal('connecting');
+        done();
       });
+    });
 
-      it('should return the exact opposite end going back', function(done) {
-	var peer1child = _.filter(peer1.children, { id: peer2.id })[0];
+    it('should only be established once both sides say so', function() {
+      PeerConnectionStates.established('connecting', 'initiator').should.equal('init_established');
+      PeerConnectionStates.established('init_established', 'receiver').should.equal('established');
+      PeerConnectionStates.established('init_established', 'initiator').should.equal('init_established');
+    });
 
-	peer1child.getPeerEndpoint(peer1).then(function(endpointPeer) {
-          expect(endpointPeer).to.exist;
-          expect(endpointPeer.id).to.equal(8);
-          done();
-	}).catch(function(e) {
-          expect(e).to.not.exist;
-          done();
-	}).done();
+    it('should let anything short of closing fail', function() {
+      _.forEach(_.without(PeerConnectionStates.states, 'closing', 'failed'), function(state) {
+        PeerConnectionStates.canTransition(state, 'failed').should.be.true;
       });
+
+      PeerConnectionStates.canTransition('closing', 'failed').should.be.false;
+    });
+
+    it('should reach states it may not have seen along the way', function() {
+      PeerConnectionStates.canReach('reserved', 'established').should.be.true;
+      PeerConnectionStates.canReach('established', 'reserved').should.be.false;
     });
 
   });
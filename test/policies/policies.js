@@ -0,0 +1,236 @@
+var request = require('request');
+
+describe('Policies', function() {
+  var base = 'http://localhost:9999';
+  var channel;
+
+  // resolves with the status code, a fresh jar is a fresh session
+  var call = function(method, path, form, jar) {
+    return new Promise(function(resolve, reject) {
+      request({ method: method, url: base + path, form: form, jar: jar || request.jar(), json: true, followRedirect: false },
+        function(err, response) {
+          if (err) return reject(err);
+          resolve(response.statusCode);
+        });
+    });
+  };
+
+  var login = function(email, password) {
+    var jar = request.jar();
+
+    return call('POST', '/login', { email: email, password: password }, jar)
+      .then(function() {
+        return jar;
+      });
+  };
+
+  before(function(done) {
+    User.findOneByEmail('professor@ucsb.edu')
+      .then(function(owner) {
+        return Channel.create({ name: 'Not Yours', owner: owner.id });
+      })
+      .then(function(created) {
+        channel = created;
+        done();
+      })
+      .catch(done);
+  });
+
+  describe('blueprints', function() {
+
+    it('should refuse the blueprint actions nobody is meant to use', function(done) {
+      Promise.all([
+        call('POST', '/peer/update/1', { socketId: 'stolen' }),
+        call('POST', '/user/destroy/1'),
+        call('POST', '/peerconnection/update/1', { state: 'established' }),
+        call('GET', '/user/find'),
+        call('GET', '/peer/find')
+      ])
+        .then(function(statuses) {
+          _.uniq(statuses).should.eql([403]);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('sessionAuth', function() {
+
+    it('should refuse to make or change things for someone who is not logged in', function(done) {
+      Promise.all([
+        call('POST', '/channel/create', { name: 'Anonymous' }),
+        call('POST', '/channel/update', { id: channel.id, name: 'Defaced' }),
+        call('POST', '/channel/destroy', { id: channel.id }),
+        call('POST', '/user/update/1', { name: 'Mallory' }),
+        call('GET', '/channel/token/' + channel.id)
+      ])
+        .then(function(statuses) {
+          _.uniq(statuses).should.eql([403]);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should send someone browsing back where they came from instead', function(done) {
+      request({ method: 'GET', url: base + '/user', headers: { accept: 'text/html', referer: base + '/' }, followRedirect: false },
+        function(err, response) {
+          if (err) return done(err);
+
+          response.statusCode.should.equal(302);
+          response.headers.location.should.equal(base + '/');
+          done();
+        });
+    });
+
+  });
+
+  describe('isChannelOwner', function() {
+
+    it('should refuse to let anyone but the owner update, destroy or hand out tokens for a channel', function(done) {
+      login('bob@aol.com', 'whatistheinternet')
+        .then(function(jar) {
+          return Promise.all([
+            call('POST', '/channel/update', { id: channel.id, name: 'Defaced' }, jar),
+            call('POST', '/channel/destroy', { id: channel.id }, jar),
+            call('GET', '/channel/token/' + channel.id, null, jar)
+          ]);
+        })
+        .then(function(statuses) {
+          _.uniq(statuses).should.eql([403]);
+
+          return Channel.findOneById(channel.id);
+        })
+        .then(function(unchanged) {
+          unchanged.name.should.equal('Not Yours');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should still let the owner through', function(done) {
+      login('professor@ucsb.edu', 'capstone')
+        .then(function(jar) {
+          return call('GET', '/channel/token/' + channel.id, null, jar);
+        })
+        .then(function(status) {
+          status.should.equal(200);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('isSocket', function() {
+
+    it('should refuse peer management over plain http', function(done) {
+      Promise.all([
+        call('POST', '/peer/create', { channel: channel.id }),
+        call('POST', '/peerconnection/create'),
+        call('POST', '/peerconnection/message', { id: 1 }),
+        call('POST', '/channel/subscribe', { id: channel.id })
+      ])
+        .then(function(statuses) {
+          _.uniq(statuses).should.eql([400]);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('isPeerOwner', function() {
+    var isPeerOwner = require('../../api/policies/isPeerOwner');
+    var peer;
+
+    before(function(done) {
+      Peer.create({ socketId: 'policy-owner', channel: channel.id, broadcaster: false })
+        .then(function(created) {
+          peer = created;
+          done();
+        })
+        .catch(done);
+    });
+
+    // sockets can't be faked over http, so this goes to the policy directly
+    var check = function(socketId, peerId) {
+      return new Promise(function(resolve) {
+        var respond = function(status) {
+          return function() { resolve(status); };
+        };
+
+        var req = {
+          isSocket: true,
+          socket: { id: socketId },
+          param: function(name) { return name === 'id' ? peerId : void 0; }
+        };
+
+        isPeerOwner(req, { forbidden: respond(403), notFound: respond(404), serverError: respond(500) }, function() {
+          resolve(200);
+        });
+      });
+    };
+
+    it('should refuse any socket but the one that owns the peer', function(done) {
+      Promise.all([check('someone-else', peer.id), check('policy-owner', peer.id)])
+        .spread(function(stranger, owner) {
+          stranger.should.equal(403);
+          owner.should.equal(200);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('socketRateLimit', function() {
+    var socketRateLimit = require('../../api/policies/socketRateLimit');
+    var original;
+
+    before(function() {
+      original = sails.config.socketGuard;
+      sails.config.socketGuard = _.extend({}, original, { budgets: { default: { capacity: 3, refillRate: 0.001 } } });
+      SocketGuardService.reset();
+    });
+
+    after(function() {
+      sails.config.socketGuard = original;
+      SocketGuardService.reset();
+    });
+
+    var check = function(req) {
+      return new Promise(function(resolve) {
+        socketRateLimit(req, { json: function(body, status) { resolve(status); } }, function() {
+          resolve(200);
+        });
+      });
+    };
+
+    var socketRequest = function(socketId) {
+      return { isSocket: true, socket: { id: socketId }, options: { controller: 'peerconnection', action: 'create' } };
+    };
+
+    it('should turn a socket away once it has used up its budget', function(done) {
+      Promise.reduce(_.times(5), function(statuses) {
+        return check(socketRequest('flooder'))
+          .then(function(status) {
+            return statuses.concat(status);
+          });
+      }, [])
+        .then(function(statuses) {
+          statuses.should.eql([200, 200, 200, 429, 429]);
+
+          // everyone else carries on
+          return check(socketRequest('bystander'));
+        })
+        .then(function(status) {
+          status.should.equal(200);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+});
@@ -0,0 +1,83 @@
+describe('ChannelAccessService', function() {
+
+  describe('#canAccess()', function() {
+
+    it('should let anyone into public and unlisted channels, but only list public ones', function() {
+      var open = { id: 1, owner: 1, visibility: 'public' };
+      var unlisted = { id: 2, owner: 1, visibility: 'unlisted' };
+
+      ChannelAccessService.canAccess(open, {}).should.be.true;
+      ChannelAccessService.canAccess(unlisted, {}).should.be.true;
+
+      ChannelAccessService.isListed(open).should.be.true;
+      ChannelAccessService.isListed(unlisted).should.be.false;
+
+      // channels from before there was a visibility
+      ChannelAccessService.isListed({ id: 3, owner: 1 }).should.be.true;
+    });
+
+    it('should only let the owner and allowed users into private channels', function() {
+      var channel = { id: 1, owner: { id: 1 }, visibility: 'private', allowedUsers: [2] };
+
+      ChannelAccessService.canAccess(channel, {}).should.be.false;
+      ChannelAccessService.canAccess(channel, { user: { id: 3 } }).should.be.false;
+      ChannelAccessService.canAccess(channel, { user: { id: 2 } }).should.be.true;
+      ChannelAccessService.canAccess(channel, { user: { id: 1 } }).should.be.true;
+    });
+
+  });
+
+  describe('#unlock()', function() {
+    var channel;
+
+    before(function(done) {
+      Channel.create({ name: 'Password Channel', owner: 1, visibility: 'password', password: 'letmein' })
+        .then(function(created) {
+          channel = created;
+          done();
+        })
+        .catch(done);
+    });
+
+    after(function(done) {
+      Channel.destroy({ id: channel.id })
+        .then(function() {
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should never keep or send out the password as is', function() {
+      channel.password.should.not.equal('letmein');
+      expect(channel.toJSON().password).to.not.exist;
+    });
+
+    it('should only grant the session access with the right password', function(done) {
+      var session = {};
+
+      ChannelAccessService.canAccess(channel, session).should.be.false;
+
+      ChannelAccessService.unlock(channel, session, 'wrong')
+        .then(function(unlocked) {
+          unlocked.should.be.false;
+          ChannelAccessService.canAccess(channel, session).should.be.false;
+
+          return ChannelAccessService.unlock(channel, session, 'letmein');
+        })
+        .then(function(unlocked) {
+          unlocked.should.be.true;
+          ChannelAccessService.canAccess(channel, session).should.be.true;
+
+          // a new password locks everyone out again
+          return Channel.update({ id: channel.id }, { password: 'somethingelse' });
+        })
+        .then(function(updated) {
+          ChannelAccessService.canAccess(updated[0], session).should.be.false;
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+});
@@ -0,0 +1,72 @@
+describe('ChatService', function() {
+
+  describe('#author()', function() {
+
+    it('should use the name of logged in users', function() {
+      var author = ChatService.author({ id: 1, guestChat: false }, { session: { user: { id: 2, name: 'Dr Awesome' } } });
+
+      author.handle.should.equal('Dr Awesome');
+      author.user.should.equal(2);
+      author.guest.should.be.false;
+    });
+
+    it('should only let guests chat when the channel allows it', function() {
+      var req = { session: {} };
+
+      expect(ChatService.author({ id: 1, guestChat: false }, req, 'lurker')).to.not.exist;
+
+      var author = ChatService.author({ id: 1, guestChat: true }, req, 'lurker');
+      author.handle.should.equal('lurker');
+      author.guest.should.be.true;
+
+      // bad handles don't replace a good one
+      ChatService.author({ id: 1, guestChat: true }, req, '<script>').handle.should.equal('lurker');
+
+      // and everyone gets one
+      ChatService.author({ id: 2, guestChat: true }, req).handle.should.match(/^guest-/);
+    });
+
+  });
+
+  describe('#history()', function() {
+    var channel = { id: 1 };
+
+    after(function(done) {
+      ChatMessage.destroy({ channel: channel.id })
+        .then(function() {
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should give back the latest messages oldest first, and leave deleted ones out', function(done) {
+      var author = { user: null, handle: 'lurker', guest: true };
+
+      // a little apart, so they don't share a timestamp
+      Promise.reduce(['one', 'two', 'three'], function(posted, text) {
+        return Promise.delay(5)
+          .then(function() {
+            return ChatService.post(channel, author, text, 'session');
+          })
+          .then(function(message) {
+            return posted.concat(message);
+          });
+      }, [])
+        .then(function(posted) {
+          return ChatService.remove(channel, posted[1].id);
+        })
+        .then(function(removed) {
+          removed.should.be.true;
+          return ChatService.history(channel, 2);
+        })
+        .then(function(messages) {
+          _.pluck(messages, 'text').should.eql(['one', 'three']);
+          expect(messages[0].session).to.not.exist;
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+});
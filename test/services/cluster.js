@@ -0,0 +1,204 @@
+describe('ClusterService', function() {
+  var other;
+  var received = [];
+
+  before(function() {
+    sails.config.cluster.enabled = true;
+    sails.config.cluster.transport = 'local';
+    ClusterService.start();
+
+    // stands in for another instance in the same process
+    other = ClusterService.transports.local('other-instance');
+    other.onMessage(function(message) {
+      received.push(message);
+    });
+  });
+
+  after(function() {
+    other.close();
+    ClusterService.stop();
+    sails.config.cluster.enabled = false;
+  });
+
+  beforeEach(function() {
+    received = [];
+  });
+
+  describe('#start()', function() {
+
+    it('should relay anything broadcast to the other instances', function() {
+      sails.sockets.broadcast('some-room', 'channel', { type: 'status' });
+
+      received.length.should.equal(1);
+      received[0].type.should.equal('broadcast');
+      received[0].payload.roomName.should.equal('some-room');
+      received[0].payload.data.should.eql({ type: 'status' });
+    });
+
+    it('should relay messages to sockets it does not have', function() {
+      sails.sockets.emit('socket-on-another-instance', 'peer', { verb: 'reparent' });
+
+      received.length.should.equal(1);
+      received[0].type.should.equal('emit');
+      received[0].payload.socketIds.should.eql(['socket-on-another-instance']);
+    });
+
+  });
+
+  describe('#hasSharedPeerStore()', function() {
+    var original;
+
+    before(function() {
+      original = sails.config.connections.peerStore;
+    });
+
+    after(function() {
+      sails.config.connections.peerStore = original;
+      sails.config.cluster.transport = 'local';
+    });
+
+    it('should only count stores every instance can reach as shared', function() {
+      sails.config.cluster.transport = 'ipc';
+
+      sails.config.connections.peerStore = { adapter: 'sails-memory' };
+      ClusterService.hasSharedPeerStore().should.be.false;
+
+      sails.config.connections.peerStore = { adapter: 'sails-disk', fileName: 'peers.db' };
+      ClusterService.hasSharedPeerStore().should.be.false;
+
+      sails.config.connections.peerStore = { adapter: 'sails-mysql', host: 'db.example.com' };
+      ClusterService.hasSharedPeerStore().should.be.true;
+
+      // instances on the local transport all live in this process
+      sails.config.cluster.transport = 'local';
+      sails.config.connections.peerStore = { adapter: 'sails-memory' };
+      ClusterService.hasSharedPeerStore().should.be.true;
+    });
+
+    it('should refuse to start a cluster whose instances would each have their own peers', function() {
+      ClusterService.stop();
+
+      sails.config.cluster.transport = 'ipc';
+      sails.config.connections.peerStore = { adapter: 'sails-memory' };
+
+      (function() {
+        ClusterService.start();
+      }).should.throw(/peer store/);
+
+      ClusterService.isEnabled().should.be.false;
+
+      sails.config.cluster.transport = 'local';
+      sails.config.connections.peerStore = original;
+      ClusterService.start();
+    });
+
+  });
+
+  describe('peers on other instances', function() {
+    var channel, broadcaster;
+    var originals = {};
+
+    before(function(done) {
+      // sockets are fake, so there's no one to subscribe or publish to
+      _.forEach(['subscribe', 'publishCreate'], function(method) {
+        originals['PeerConnection.' + method] = PeerConnection[method];
+        PeerConnection[method] = function() {};
+      });
+
+      originals['Peer.subscribe'] = Peer.subscribe;
+      Peer.subscribe = function() {};
+
+      Channel.create({ name: 'Across Instances', owner: 1 })
+        .then(function(created) {
+          channel = created;
+
+          // joined through the other instance, so its socket isn't one of ours
+          return Peer.create({ socketId: 'socket-on-another-instance', channel: channel.id, broadcaster: true,
+                               uploadCapacity: sails.config.overlay.streamBitrate * 3 });
+        })
+        .then(function(created) {
+          broadcaster = created;
+          return Peer.create({ socketId: 'socket-on-this-instance', channel: channel.id, broadcaster: false });
+        })
+        .then(function() {
+          done();
+        })
+        .catch(done);
+    });
+
+    after(function() {
+      PeerConnection.subscribe = originals['PeerConnection.subscribe'];
+      PeerConnection.publishCreate = originals['PeerConnection.publishCreate'];
+      Peer.subscribe = originals['Peer.subscribe'];
+    });
+
+    it('should match a peer here with a peer that joined over there', function(done) {
+      var req = {
+        isSocket: true,
+        socket: { id: 'socket-on-this-instance' },
+        param: function() {}
+      };
+
+      var res = {
+        json: function(body) {
+          try {
+            body.status.should.equal(200);
+            body.connection.endpoint.should.equal(broadcaster.id);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        },
+        serverError: function(err) { done(new Error('could not match: ' + err)); },
+        notFound: function(err) { done(new Error('could not find the peer: ' + err)); }
+      };
+
+      sails.controllers.peerconnection.create(req, res);
+    });
+
+  });
+
+  describe('#receive()', function() {
+
+    it('should take on upstream assignments made by other instances', function() {
+      other.send({ p2pcast: 'cluster', from: 'other-instance', type: 'assign',
+                   payload: { peerId: 3000, assignment: { upstream: 1, expires: Date.now() + 10000 } } });
+
+      OverlayService.takeAssignment(3000).should.equal(1);
+    });
+
+  });
+
+  describe('#withLock()', function() {
+
+    it('should never let two holders of the same lock run at once', function(done) {
+      var holding = 0;
+      var most = 0;
+
+      var task = function() {
+        holding += 1;
+        most = Math.max(most, holding);
+
+        return Promise.delay(5).then(function() {
+          holding -= 1;
+        });
+      };
+
+      // our instance and the other one, taking turns
+      var theirs = function() {
+        return other.lock('test').then(function(release) {
+          return task().finally(release);
+        });
+      };
+
+      Promise.all([ClusterService.withLock('test', task), theirs(), ClusterService.withLock('test', task), theirs()])
+        .then(function() {
+          most.should.equal(1);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+});
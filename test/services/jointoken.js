@@ -0,0 +1,50 @@
+describe('JoinTokenService', function() {
+
+  describe('#verify()', function() {
+
+    it('should give back the claims of a token it issued', function() {
+      var issued = JoinTokenService.issue(1, 60, { viewer: 'viewer-1', maxConcurrent: 2 });
+
+      issued.token.should.match(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+
+      var claims = JoinTokenService.verify(issued.token, 1);
+      expect(claims).to.exist;
+      claims.id.should.equal(issued.claims.id);
+      claims.viewer.should.equal('viewer-1');
+      claims.maxConcurrent.should.equal(2);
+    });
+
+    it('should only take tokens for the channel they were issued for', function() {
+      var issued = JoinTokenService.issue(1, 60);
+
+      expect(JoinTokenService.verify(issued.token, 1)).to.exist;
+      expect(JoinTokenService.verify(issued.token, 2)).to.not.exist;
+    });
+
+    it('should not take expired or tampered tokens', function() {
+      var expired = JoinTokenService.issue(1, -1);
+      expect(JoinTokenService.verify(expired.token, 1)).to.not.exist;
+
+      var issued = JoinTokenService.issue(1, 60);
+      var parts = issued.token.split('.');
+      var claims = JSON.parse(new Buffer(parts[0], 'base64').toString('utf8'));
+      claims.channel = 2;
+
+      var forged = new Buffer(JSON.stringify(claims)).toString('base64') + '.' + parts[1];
+      expect(JoinTokenService.verify(forged, 2)).to.not.exist;
+
+      expect(JoinTokenService.verify('garbage', 1)).to.not.exist;
+      expect(JoinTokenService.verify(void 0, 1)).to.not.exist;
+    });
+
+    it('should let viewers with a token into a private channel', function() {
+      var channel = { id: 1, owner: 1, visibility: 'private', allowedUsers: [] };
+
+      ChannelAccessService.canAccess(channel, {}).should.be.false;
+      ChannelAccessService.canAccess(channel, {}, JoinTokenService.issue(1, 60).token).should.be.true;
+      ChannelAccessService.canAccess(channel, {}, JoinTokenService.issue(2, 60).token).should.be.false;
+    });
+
+  });
+
+});
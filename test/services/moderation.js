@@ -0,0 +1,82 @@
+describe('ModerationService', function() {
+  var channel = { id: 1, owner: 1 };
+
+  describe('#kick()', function() {
+
+    it('should destroy the peer', function(done) {
+      Peer.create({ socketId: 'kick-me', channel: 1, broadcaster: false })
+        .then(function(peer) {
+          return ModerationService.kick(channel, peer, 'being rude');
+        })
+        .then(function(peer) {
+          return Peer.findOneById(peer.id);
+        })
+        .then(function(found) {
+          expect(found).to.not.exist;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should leave the owner and broadcasters alone', function() {
+      ModerationService.canModerate(channel, { channel: 1, broadcaster: true }).should.be.false;
+      ModerationService.canModerate(channel, { channel: 1, broadcaster: false, user: 1 }).should.be.false;
+      ModerationService.canModerate(channel, { channel: 2, broadcaster: false }).should.be.false;
+      ModerationService.canModerate(channel, { channel: 1, broadcaster: false, user: 2 }).should.be.true;
+    });
+
+  });
+
+  describe('#ban()', function() {
+    var req = { session: {}, sessionID: 'banned-session' };
+
+    after(function(done) {
+      Ban.destroy({ channel: channel.id })
+        .then(function() {
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should kick the session\'s peers and keep it out', function(done) {
+      var session = ModerationService.sessionKey(req);
+      var peer;
+
+      Peer.create({ socketId: 'ban-me', channel: 1, broadcaster: false, session: session })
+        .then(function(created) {
+          peer = created;
+          return ModerationService.ban(channel, { session: session }, { reason: 'spam' });
+        })
+        .then(function() {
+          return Promise.join(Peer.findOneById(peer.id), ModerationService.findBan(channel, req));
+        })
+        .spread(function(found, ban) {
+          expect(found).to.not.exist;
+          expect(ban).to.exist;
+          ban.reason.should.equal('spam');
+
+          // someone else entirely
+          return ModerationService.findBan(channel, { session: {}, sessionID: 'another-session' });
+        })
+        .then(function(ban) {
+          expect(ban).to.not.exist;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should not hold bans that ran out against anyone', function(done) {
+      Ban.create({ channel: channel.id, user: 2, expiresAt: new Date(Date.now() - 1000) })
+        .then(function() {
+          return ModerationService.findBan(channel, { session: { user: { id: 2 } } });
+        })
+        .then(function(ban) {
+          expect(ban).to.not.exist;
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+});
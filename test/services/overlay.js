@@ -0,0 +1,24 @@
+describe('OverlayService', function() {
+
+  describe('#takeAssignment()', function() {
+
+    it('should hand out an assigned upstream exactly once', function() {
+      OverlayService.assign(1000, 1);
+
+      OverlayService.takeAssignment(1000).should.equal(1);
+      expect(OverlayService.takeAssignment(1000)).to.not.exist;
+    });
+
+    it('should forget assignments that have expired', function() {
+      var timeout = OverlayService.assignmentTimeout;
+
+      OverlayService.assignmentTimeout = -1;
+      OverlayService.assign(1001, 1);
+      OverlayService.assignmentTimeout = timeout;
+
+      expect(OverlayService.takeAssignment(1001)).to.not.exist;
+    });
+
+  });
+
+});
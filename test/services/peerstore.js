@@ -0,0 +1,165 @@
+describe('PeerStoreService', function() {
+
+  describe('#reclaim()', function() {
+    var peer;
+
+    before(function(done) {
+      Peer.create({ socketId: 'reclaim-old', channel: 1, broadcaster: false })
+        .then(function(created) {
+          peer = created;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should give every peer a token, but never send it out', function() {
+      expect(peer.token).to.be.a('string');
+      expect(peer.toJSON().token).to.not.exist;
+    });
+
+    it('should not hand over a peer that still has its socket', function(done) {
+      PeerStoreService.reclaim(peer.token, 1, 'reclaim-new')
+        .then(function(reclaimed) {
+          expect(reclaimed).to.not.exist;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should hand over a disconnected peer to whoever has its token', function(done) {
+      Peer.update({ id: peer.id }, { disconnectedAt: new Date() })
+        .then(function() {
+          return PeerStoreService.reclaim('not the token', 1, 'reclaim-new');
+        })
+        .then(function(reclaimed) {
+          expect(reclaimed).to.not.exist;
+          return PeerStoreService.reclaim(peer.token, 1, 'reclaim-new');
+        })
+        .then(function(reclaimed) {
+          expect(reclaimed).to.exist;
+          reclaimed.id.should.equal(peer.id);
+          reclaimed.socketId.should.equal('reclaim-new');
+          expect(reclaimed.disconnectedAt).to.not.exist;
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('#disconnect()', function() {
+    var peer;
+
+    beforeEach(function(done) {
+      Peer.create({ socketId: 'resume-old', channel: 1, broadcaster: false })
+        .then(function(created) {
+          peer = created;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should hold on to the peer so it can resume', function(done) {
+      var disconnectedAt;
+
+      PeerStoreService.disconnect('resume-old')
+        .then(function(disconnected) {
+          disconnected.should.have.length(1);
+          expect(disconnected[0].disconnectedAt).to.exist;
+          disconnectedAt = disconnected[0].disconnectedAt;
+
+          return PeerStoreService.reclaim(peer.token, 1, 'resume-new');
+        })
+        .then(function(reclaimed) {
+          expect(reclaimed).to.exist;
+          reclaimed.id.should.equal(peer.id);
+
+          // the timer from when it went away goes off late
+          return PeerStoreService.expirePeer(peer.id, disconnectedAt);
+        })
+        .then(function() {
+          return Peer.findOneById(peer.id);
+        })
+        .then(function(found) {
+          expect(found).to.exist;
+          found.socketId.should.equal('resume-new');
+          return Peer.destroy({ id: peer.id });
+        })
+        .then(function() {
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should destroy the peer if it never comes back', function(done) {
+      PeerStoreService.disconnect('resume-old')
+        .then(function(disconnected) {
+          return PeerStoreService.expirePeer(peer.id, disconnected[0].disconnectedAt);
+        })
+        .then(function() {
+          return Peer.findOneById(peer.id);
+        })
+        .then(function(found) {
+          expect(found).to.not.exist;
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('#expire()', function() {
+    var channel, expired, recent;
+
+    before(function(done) {
+      var longAgo = new Date(Date.now() - sails.config.peerStore.reclaimWindow - 1000);
+
+      Channel.create({ name: 'Gone For Good', owner: 1 })
+        .then(function(created) {
+          channel = created;
+
+          return Promise.all([
+            Peer.create({ socketId: 'expire-1', channel: channel.id, broadcaster: false, disconnectedAt: longAgo }),
+            Peer.create({ socketId: 'expire-2', channel: channel.id, broadcaster: false, disconnectedAt: longAgo }),
+            Peer.create({ socketId: 'expire-recent', channel: channel.id, broadcaster: false, disconnectedAt: new Date() })
+          ]);
+        })
+        .spread(function(first, second, third) {
+          expired = [first, second];
+          recent = third;
+
+          // on the channel like PeerController#create leaves them
+          return Channel.findOne({ id: channel.id }).populate('peers');
+        })
+        .then(function(found) {
+          _.forEach(expired.concat(recent), function(peer) {
+            found.peers.add(peer.id);
+          });
+
+          return Promise.promisify(found.save, found)();
+        })
+        .then(function() {
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should destroy every peer that never came back, and take them off their channel', function(done) {
+      PeerStoreService.expire()
+        .then(function() {
+          return Peer.find({ id: _.pluck(expired, 'id') });
+        })
+        .then(function(found) {
+          found.should.be.empty;
+          return Channel.findOne({ id: channel.id }).populate('peers');
+        })
+        .then(function(found) {
+          _.pluck(found.peers, 'id').should.eql([recent.id]);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+});
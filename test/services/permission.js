@@ -0,0 +1,96 @@
+describe('PermissionService', function() {
+  var channel = { id: 1, owner: 1 };
+
+  describe('#permissions()', function() {
+
+    it('should give the owner everything', function(done) {
+      PermissionService.permissions(channel, { user: { id: 1 } })
+        .then(function(permissions) {
+          permissions.role.should.equal('owner');
+          permissions.broadcast.should.be.true;
+          permissions.moderate.should.be.true;
+          permissions.manage.should.be.true;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should give guests nothing', function(done) {
+      PermissionService.permissions(channel, {})
+        .then(function(permissions) {
+          expect(permissions.role).to.not.exist;
+          permissions.broadcast.should.be.false;
+          permissions.watch.should.be.false;
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe('#grant()', function() {
+
+    after(function(done) {
+      Membership.destroy({ channel: channel.id })
+        .then(function() {
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should let co-broadcasters broadcast but not manage the channel', function(done) {
+      PermissionService.grant(channel, 2, 'broadcaster')
+        .then(function() {
+          return PermissionService.permissions(channel, { user: { id: 2 } });
+        })
+        .then(function(permissions) {
+          permissions.role.should.equal('broadcaster');
+          permissions.broadcast.should.be.true;
+          permissions.moderate.should.be.false;
+          permissions.manage.should.be.false;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should replace the role a user had, and take it away on revoke', function(done) {
+      PermissionService.grant(channel, 2, 'moderator')
+        .then(function() {
+          return Membership.find({ channel: channel.id, user: 2 });
+        })
+        .then(function(memberships) {
+          memberships.should.have.length(1);
+          memberships[0].role.should.equal('moderator');
+
+          return PermissionService.revoke(channel, 2);
+        })
+        .then(function() {
+          return PermissionService.can(channel, { user: { id: 2 } }, 'moderate');
+        })
+        .then(function(allowed) {
+          allowed.should.be.false;
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should not hand out ownership or roles it does not know', function(done) {
+      PermissionService.grant(channel, 2, 'owner')
+        .then(function() {
+          done(new Error('should not have granted ownership'));
+        }, function(err) {
+          err.message.should.contain('Unknown role');
+          return PermissionService.grant(channel, 1, 'viewer');
+        })
+        .then(function() {
+          done(new Error('should not have given the owner a role'));
+        }, function(err) {
+          err.message.should.contain('owner');
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+});
@@ -0,0 +1,44 @@
+describe('RateLimiter', function() {
+
+  describe('#take()', function() {
+
+    it('should let a key use up its bucket, then make it wait', function() {
+      var limiter = RateLimiter.create({ capacity: 3, refillRate: 1 });
+      var now = 1000000;
+
+      limiter.take('a', 1, now).should.be.true;
+      limiter.take('a', 1, now).should.be.true;
+      limiter.take('a', 1, now).should.be.true;
+      limiter.take('a', 1, now).should.be.false;
+
+      // other keys have their own buckets
+      limiter.take('b', 1, now).should.be.true;
+
+      limiter.retryAfter('a', 1, now).should.equal(1000);
+      limiter.take('a', 1, now + 1000).should.be.true;
+      limiter.take('a', 1, now + 1000).should.be.false;
+    });
+
+    it('should never fill a bucket past its capacity', function() {
+      var limiter = RateLimiter.create({ capacity: 2, refillRate: 10 });
+      var now = 1000000;
+
+      limiter.take('a', 2, now).should.be.true;
+      limiter.take('a', 3, now + 60000).should.be.false;
+      limiter.take('a', 2, now + 60000).should.be.true;
+    });
+
+    it('should let go of buckets that have filled back up', function() {
+      var limiter = RateLimiter.create({ capacity: 2, refillRate: 1 });
+
+      limiter.take('a', 1, 1000);
+      limiter.prune(1500);
+      _.keys(limiter._buckets).should.have.length(1);
+
+      limiter.prune(2000);
+      _.keys(limiter._buckets).should.have.length(0);
+    });
+
+  });
+
+});
@@ -0,0 +1,74 @@
+describe('RebalanceService', function() {
+  var bitrate;
+
+  var options = { maxMigrations: 2, maxDepth: 3, maxImbalance: 2 };
+
+  // a chain hanging off a root with room for `rootSlots` children, everyone else relays to one
+  var chain = function(length, rootSlots) {
+    var root = { id: 1, _depth: 0, uploadCapacity: bitrate * rootSlots, quality: 1,
+                 _shadowConnections: [], connections: [], children: [] };
+    var parent = root;
+
+    for (var id = 2; id <= length; id++) {
+      var node = { id: id, _depth: parent._depth + 1, uploadCapacity: bitrate, quality: 1, _shadowConnections: [],
+                   connections: [{ id: 100 + id, initiator: id, endpoint: parent.id, standby: false }], children: [] };
+
+      parent.children.push(node);
+      parent = node;
+    }
+
+    return root;
+  };
+
+  before(function() {
+    bitrate = sails.config.overlay.streamBitrate;
+  });
+
+  describe('#needsRebalance()', function() {
+
+    it('should leave shallow trees alone', function() {
+      expect(RebalanceService.needsRebalance(chain(3, 1), options)).to.not.exist;
+    });
+
+    it('should flag trees that are too deep', function() {
+      RebalanceService.needsRebalance(chain(6, 1), options).should.equal('depth');
+    });
+
+    it('should flag trees with a spare slot far above the deepest peer', function() {
+      RebalanceService.needsRebalance(chain(5, 2), _.defaults({ maxDepth: 10 }, options)).should.equal('imbalance');
+    });
+
+  });
+
+  describe('#plan()', function() {
+
+    it('should move the deepest peer up to a spare slot, replacing its old connection', function() {
+      var root = chain(6, 3);
+      var moves = RebalanceService.plan('capacity', { roots: [root], orphans: [] }, options);
+
+      moves.length.should.be.above(0);
+      moves[0].peer.id.should.equal(6);
+      moves[0].upstream.id.should.equal(1);
+      moves[0].replaces.should.equal(106);
+      moves[0].peer._depth.should.equal(1);
+    });
+
+    it('should never move more than maxMigrations peers', function() {
+      var root = chain(10, 8);
+      var moves = RebalanceService.plan('capacity', { roots: [root], orphans: [] }, _.defaults({ maxMigrations: 1 }, options));
+
+      moves.length.should.equal(1);
+    });
+
+    it('should skip peers that are not movable', function() {
+      var root = chain(6, 3);
+      var moves = RebalanceService.plan('capacity', { roots: [root], orphans: [] }, _.defaults({
+        isMovable: function(node) { return node.id !== 6; }
+      }, options));
+
+      _.pluck(_.pluck(moves, 'peer'), 'id').should.not.contain(6);
+    });
+
+  });
+
+});
@@ -0,0 +1,69 @@
+var crypto = require('crypto');
+
+describe('RtcService', function() {
+
+  describe('#credentials()', function() {
+
+    it('should make credentials a TURN server can check with the shared secret', function() {
+      var creds = RtcService.credentials('user-1', 's3cret', 3600, 1400000000000);
+
+      creds.username.should.equal('1400003600:user-1');
+      creds.expires.should.equal(1400003600);
+      creds.credential.should.equal(crypto.createHmac('sha1', 's3cret').update('1400003600:user-1').digest('base64'));
+    });
+
+  });
+
+  describe('#scope()', function() {
+
+    it('should go by user id, or a hash of the session for guests', function() {
+      RtcService.scope({ session: { user: { id: 7 } } }).should.equal('user-7');
+
+      var guest = RtcService.scope({ session: {}, sessionID: 'some-session' });
+      guest.should.match(/^guest-[0-9a-f]{16}$/);
+      guest.should.not.contain('some-session');
+      guest.should.not.equal(RtcService.scope({ session: {}, sessionID: 'another-session' }));
+    });
+
+  });
+
+  describe('#config()', function() {
+    var rtc;
+
+    beforeEach(function() {
+      rtc = sails.config.rtc;
+    });
+
+    afterEach(function() {
+      sails.config.rtc = rtc;
+    });
+
+    it('should only hand out STUN servers without a TURN secret', function() {
+      sails.config.rtc = { iceServers: [{ url: 'stun:stun.example.com' }], turn: { urls: ['turn:turn.example.com'], secret: null, ttl: 60 } };
+
+      var config = RtcService.config('user-1');
+      config.iceServers.should.have.length(1);
+      expect(config.ttl).to.not.exist;
+    });
+
+    it('should add every TURN server with credentials for the scope', function() {
+      sails.config.rtc = {
+        iceServers: [{ url: 'stun:stun.example.com' }],
+        turn: { urls: ['turn:turn.example.com?transport=udp', 'turn:turn.example.com?transport=tcp'], secret: 's3cret', ttl: 60 }
+      };
+
+      var config = RtcService.config('user-1');
+      config.iceServers.should.have.length(3);
+      config.ttl.should.equal(60);
+
+      config.iceServers[1].url.should.equal('turn:turn.example.com?transport=udp');
+      config.iceServers[1].username.should.match(/^\d+:user-1$/);
+      config.iceServers[2].credential.should.equal(config.iceServers[1].credential);
+
+      // the configured list is left alone
+      sails.config.rtc.iceServers.should.have.length(1);
+    });
+
+  });
+
+});
@@ -0,0 +1,93 @@
+describe('SignalingService', function() {
+
+  var sdp = [
+    'v=0',
+    'o=- 4611731400430051336 2 IN IP4 127.0.0.1',
+    's=-',
+    't=0 0',
+    'm=video 9 RTP/SAVPF 100',
+    'a=rtpmap:100 VP8/90000',
+    ''
+  ].join('\r\n');
+
+  var candidate = {
+    candidate: 'candidate:842163049 1 udp 1677729535 203.0.113.7 54321 typ srflx raddr 192.168.1.2 rport 54321 generation 0',
+    sdpMid: 'video',
+    sdpMLineIndex: 0
+  };
+
+  var limits = { maxMessageSize: 4096, maxSdpLength: 1024, maxCandidateLength: 256, maxReasonLength: 32 };
+
+  var validate = function(type, payload) {
+    return SignalingService.validate({ type: type, payload: payload }, limits);
+  };
+
+  describe('#validate()', function() {
+
+    it('should pass what the browser actually sends', function() {
+      expect(validate('offer', { type: 'offer', sdp: sdp })).to.be.null;
+      expect(validate('answer', { type: 'answer', sdp: sdp })).to.be.null;
+      expect(validate('ice', { candidate: candidate })).to.be.null;
+      expect(validate('close', 'kicked')).to.be.null;
+      expect(SignalingService.validate({ type: 'close' }, limits)).to.be.null;
+    });
+
+    it('should refuse anything that is not a message of a known type', function() {
+      SignalingService.validate('offer', limits).should.be.a('string');
+      SignalingService.validate({ type: 'offer', payload: { type: 'offer', sdp: sdp }, extra: true }, limits).should.be.a('string');
+      validate('exploit', {}).should.match(/Unknown/);
+      validate('constructor', {}).should.match(/Unknown/);
+    });
+
+    it('should refuse malformed session descriptions', function() {
+      validate('offer', { type: 'answer', sdp: sdp }).should.be.a('string');
+      validate('offer', { type: 'offer' }).should.be.a('string');
+      validate('offer', { type: 'offer', sdp: 42 }).should.be.a('string');
+      validate('offer', { type: 'offer', sdp: 'hello' }).should.be.a('string');
+      validate('offer', { type: 'offer', sdp: 'v=0\r\n<script>alert(1)</script>' }).should.be.a('string');
+      validate('answer', { type: 'answer', sdp: sdp, jingle: {} }).should.be.a('string');
+    });
+
+    it('should refuse malformed candidates', function() {
+      validate('ice', {}).should.be.a('string');
+      validate('ice', { candidate: 'candidate:1 1 udp 1 1.2.3.4 5 typ host' }).should.be.a('string');
+      validate('ice', { candidate: _.extend({}, candidate, { candidate: 'nope' }) }).should.be.a('string');
+      validate('ice', { candidate: _.extend({}, candidate, { sdpMLineIndex: -1 }) }).should.be.a('string');
+      validate('ice', { candidate: _.extend({}, candidate, { sdpMLineIndex: '0' }) }).should.be.a('string');
+      validate('ice', { candidate: _.extend({}, candidate, { toString: 'x' }) }).should.be.a('string');
+    });
+
+    it('should hold everything to its size limits', function() {
+      var padded = sdp + _.times(100, function() { return 'a=x-padding:0123456789'; }).join('\r\n');
+
+      validate('offer', { type: 'offer', sdp: padded }).should.match(/sdp/);
+      validate('close', new Array(40).join('x')).should.match(/reason/);
+      validate('ice', { candidate: _.extend({}, candidate, { candidate: candidate.candidate + new Array(300).join(' x') }) })
+        .should.be.a('string');
+
+      SignalingService.validate({ type: 'offer', payload: { type: 'offer', sdp: sdp } },
+                                _.extend({}, limits, { maxMessageSize: 64 })).should.match(/at most 64/);
+    });
+
+  });
+
+  describe('#define()', function() {
+
+    after(function() {
+      delete SignalingService.schemas.mute;
+    });
+
+    it('should let new types of message through once they have a schema', function() {
+      validate('mute', true).should.match(/Unknown/);
+
+      SignalingService.define('mute', function(payload) {
+        if (!_.isBoolean(payload)) return 'must be true or false';
+      });
+
+      expect(validate('mute', true)).to.be.null;
+      validate('mute', 'yes').should.match(/must be true or false/);
+    });
+
+  });
+
+});
@@ -0,0 +1,185 @@
+var crypto = require('crypto');
+
+describe('SocketGuardService', function() {
+  var original;
+
+  before(function() {
+    original = sails.config.socketGuard;
+
+    sails.config.socketGuard = _.extend({}, original, {
+      allowedOrigins: [],
+      budgets: {
+        default: { capacity: 2, refillRate: 1 },
+        'peerconnection/message': { capacity: 5, refillRate: 10 }
+      }
+    });
+
+    SocketGuardService.reset();
+  });
+
+  after(function() {
+    sails.config.socketGuard = original;
+    SocketGuardService.reset();
+  });
+
+  describe('#isAllowedOrigin()', function() {
+
+    it('should only let in pages from our own host unless told otherwise', function() {
+      var handshake = function(origin) {
+        return { headers: { host: 'p2pcast.example.com', origin: origin } };
+      };
+
+      SocketGuardService.isAllowedOrigin(handshake('https://p2pcast.example.com')).should.be.true;
+      SocketGuardService.isAllowedOrigin(handshake(void 0)).should.be.true;
+      SocketGuardService.isAllowedOrigin(handshake('https://evil.example.com')).should.be.false;
+      SocketGuardService.isAllowedOrigin(handshake('https://p2pcast.example.com.evil.example.com')).should.be.false;
+
+      sails.config.socketGuard.allowedOrigins = ['https://embed.example.com'];
+
+      SocketGuardService.isAllowedOrigin(handshake('https://embed.example.com')).should.be.true;
+      SocketGuardService.isAllowedOrigin(handshake('https://p2pcast.example.com')).should.be.false;
+
+      sails.config.socketGuard.allowedOrigins = [];
+    });
+
+  });
+
+  describe('#authorize()', function() {
+
+    it('should refuse a socket from some other site before looking at its session', function(done) {
+      var handshake = { headers: { host: 'p2pcast.example.com', origin: 'https://evil.example.com', cookie: 'whatever' }, query: {} };
+
+      SocketGuardService.authorize(handshake, function(err, allowed) {
+        expect(err).to.not.exist;
+        allowed.should.be.false;
+        expect(handshake.sessionID).to.not.exist;
+        done();
+      });
+    });
+
+    describe('after a restart', function() {
+      var session, channel, peer, handshake;
+
+      // the cookie someone got before the restart, signed like connect does but for a session that's gone
+      var cookieFor = function(sessionId) {
+        var signature = crypto.createHmac('sha256', sails.config.session.secret).update(sessionId).digest('base64');
+        return sails.config.session.key + '=' + encodeURIComponent('s:' + sessionId + '.' + signature.replace(/\=+$/, ''));
+      };
+
+      before(function(done) {
+        session = sails.config.session;
+        sails.config.socketGuard.requireSession = true;
+
+        Channel.create({ name: 'Back Again', owner: 1 })
+          .then(function(created) {
+            channel = created;
+            return Peer.create({ socketId: 'restart-old', channel: channel.id, broadcaster: false, disconnectedAt: new Date() });
+          })
+          .then(function(created) {
+            peer = created;
+            done();
+          })
+          .catch(done);
+      });
+
+      beforeEach(function() {
+        handshake = { headers: { host: 'p2pcast.example.com', cookie: cookieFor('from-before-the-restart') }, query: {} };
+      });
+
+      after(function() {
+        sails.config.session = session;
+        sails.config.socketGuard.requireSession = original.requireSession;
+      });
+
+      it('should let a socket back in when sessions are only kept in memory, so its peer can be reclaimed', function(done) {
+        SocketGuardService.authorize(handshake, function(err, allowed) {
+          expect(err).to.not.exist;
+          allowed.should.be.true;
+
+          var params = { channel: channel.id, token: peer.token };
+          var req = {
+            isSocket: true,
+            socket: { id: 'restart-new', handshake: handshake },
+            session: handshake.session,
+            param: function(name) { return params[name]; }
+          };
+
+          var respond = function(status) {
+            return function(body) {
+              done(new Error('peer/create answered ' + status + ': ' + body));
+            };
+          };
+
+          sails.controllers.peer.create(req, {
+            json: function(body) {
+              body.id.should.equal(peer.id);
+              body.reclaimed.should.be.true;
+              body.socketId.should.equal('restart-new');
+              done();
+            },
+            badRequest: respond(400),
+            forbidden: respond(403),
+            notFound: respond(404),
+            serverError: respond(500)
+          });
+        });
+      });
+
+      it('should only refuse unknown sessions when they outlive a restart', function(done) {
+        sails.config.session = _.extend({}, session, { adapter: 'redis' });
+
+        SocketGuardService.authorize(handshake, function(err, allowed) {
+          expect(err).to.not.exist;
+          allowed.should.be.false;
+          done();
+        });
+      });
+
+    });
+
+  });
+
+  describe('#take()', function() {
+
+    it('should give each socket its own budget for each action', function() {
+      var now = 1400000000000;
+
+      SocketGuardService.take('socket-a', 'peerconnection/create', now).should.equal(0);
+      SocketGuardService.take('socket-a', 'peerconnection/create', now).should.equal(0);
+      SocketGuardService.take('socket-a', 'peerconnection/create', now).should.equal(1000);
+
+      // someone else, or something else, isn't held up by it
+      SocketGuardService.take('socket-b', 'peerconnection/create', now).should.equal(0);
+      SocketGuardService.take('socket-a', 'peer/create', now).should.equal(0);
+
+      // and it comes back in time
+      SocketGuardService.take('socket-a', 'peerconnection/create', now + 1000).should.equal(0);
+    });
+
+    it('should use the budget configured for the action', function() {
+      var now = 1400000000000;
+
+      _.times(5, function() {
+        SocketGuardService.take('socket-c', 'peerconnection/message', now).should.equal(0);
+      });
+
+      SocketGuardService.take('socket-c', 'peerconnection/message', now).should.equal(100);
+    });
+
+    it('should let a socket that went away start over', function() {
+      var now = 1400000000000;
+
+      _.times(2, function() {
+        SocketGuardService.take('socket-d', 'channel/subscribe', now);
+      });
+
+      SocketGuardService.take('socket-d', 'channel/subscribe', now).should.be.above(0);
+
+      SocketGuardService.forget('socket-d');
+
+      SocketGuardService.take('socket-d', 'channel/subscribe', now).should.equal(0);
+    });
+
+  });
+
+});
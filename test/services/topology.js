@@ -0,0 +1,99 @@
+describe('TopologyService', function() {
+  var bitrate;
+
+  var node = function(id, depth, uploadCapacity, children, extra) {
+    return _.extend({ id: id, _depth: depth, uploadCapacity: uploadCapacity, quality: 1,
+                      _shadowConnections: [], children: children || [] }, extra);
+  };
+
+  before(function() {
+    bitrate = sails.config.overlay.streamBitrate;
+  });
+
+  describe('#register()', function() {
+
+    it('should refuse strategies without chooseUpstream', function() {
+      expect(function() {
+        TopologyService.register('broken', {});
+      }).to.throw(Error);
+
+      TopologyService.has('broken').should.be.false;
+    });
+
+    it('should fall back to the default strategy for unknown names', function() {
+      TopologyService.get('nonexistent').should.equal(TopologyService.get(TopologyService.defaultStrategy));
+    });
+
+  });
+
+  describe('#chooseUpstream()', function() {
+    var peer = { id: 999 };
+
+    it('should fill peers up two at a time with binary', function() {
+      var root = node(1, 0, bitrate * 8, [node(2, 1, bitrate * 8), node(3, 1, bitrate * 8)]);
+
+      TopologyService.chooseUpstream('binary', peer, root).id.should.equal(2);
+    });
+
+    it('should pick the shallowest peer with mindepth', function() {
+      var root = node(1, 0, bitrate * 3, [node(2, 1, bitrate * 8)]);
+
+      TopologyService.chooseUpstream('mindepth', peer, root).id.should.equal(1);
+    });
+
+    it('should pick the lowest latency path with latency', function() {
+      var root = node(1, 0, bitrate, [
+        node(2, 1, bitrate * 2, [], { latency: 300 }),
+        node(3, 1, bitrate * 2, [], { latency: 20 })
+      ], { latency: 10 });
+
+      TopologyService.chooseUpstream('latency', peer, root).id.should.equal(3);
+    });
+
+    it('should never choose a full peer with random', function() {
+      var root = node(1, 0, bitrate, [node(2, 1, bitrate)]);
+
+      TopologyService.chooseUpstream('random', peer, root).id.should.equal(2);
+    });
+
+    it('should return nothing when every peer is full', function() {
+      var root = node(1, 0, 0);
+
+      _.forEach(TopologyService.names(), function(name) {
+        expect(TopologyService.chooseUpstream(name, peer, root)).to.not.exist;
+      });
+    });
+
+  });
+
+  describe('#rankRoots()', function() {
+
+    it('should put the least loaded broadcaster first', function() {
+      var busy = node(1, 0, bitrate * 8, [node(3, 1, bitrate, [node(5, 2, bitrate)]), node(4, 1, bitrate)]);
+      var quiet = node(2, 0, bitrate * 8, [node(6, 1, bitrate)]);
+
+      TopologyService.countDescendants(busy).should.equal(3);
+      _.pluck(TopologyService.rankRoots([busy, quiet]), 'id').should.eql([2, 1]);
+    });
+
+  });
+
+
+  describe('#usedSlots()', function() {
+
+    it('should count connections still being set up as taken', function() {
+      var root = node(1, 0, bitrate * 2, [node(2, 1, bitrate)], {
+        connections: [
+          { initiator: 2, endpoint: 1, state: 'established' },
+          { initiator: 3, endpoint: 1, state: 'reserved' },
+          { initiator: 4, endpoint: 1, state: 'failed' }
+        ]
+      });
+
+      TopologyService.usedSlots(root).should.equal(2);
+      expect(TopologyService.chooseUpstream('capacity', { id: 999 }, root)).to.not.equal(root);
+    });
+
+  });
+
+});
@@ -0,0 +1,175 @@
+describe('WatchdogService', function() {
+
+  beforeEach(function() {
+    WatchdogService.resetMetrics();
+  });
+
+  describe('#watch()', function() {
+
+    it('should count connections that get established', function() {
+      var watching = WatchdogService.getMetrics().watching;
+
+      WatchdogService.watch({ id: 2000, state: 'established', createdAt: new Date(Date.now() - 500) });
+
+      var metrics = WatchdogService.getMetrics();
+      metrics.established.should.equal(1);
+      metrics.establishTime.max.should.be.at.least(500);
+      metrics.watching.should.equal(watching);
+
+      WatchdogService.unwatch(2000);
+    });
+
+    it('should only count a connection as established once, however often it is updated', function() {
+      var emitted = 0;
+      var count = function() { emitted += 1; };
+
+      sails.on('watchdog:established', count);
+
+      WatchdogService.watch({ id: 2002, state: 'connecting', createdAt: new Date(Date.now() - 500) });
+      WatchdogService.watch({ id: 2002, state: 'established', createdAt: new Date(Date.now() - 500) });
+
+      // say a standby being promoted, it's still established
+      WatchdogService.watch({ id: 2002, state: 'established', standby: false, createdAt: new Date(Date.now() - 500) });
+      WatchdogService.watch({ id: 2002, standby: false });
+      WatchdogService.watch({ id: 2002, state: 'established', createdAt: new Date(Date.now() - 500) });
+
+      sails.removeListener('watchdog:established', count);
+
+      WatchdogService.getMetrics().established.should.equal(1);
+      emitted.should.equal(1);
+
+      WatchdogService.unwatch(2002);
+    });
+
+    it('should keep watching connections until they are unwatched', function() {
+      var watching = WatchdogService.getMetrics().watching;
+
+      WatchdogService.watch({ id: 2001, state: 'reserved', createdAt: new Date() });
+      WatchdogService.getMetrics().watching.should.equal(watching + 1);
+
+      // same state again doesn't add another timer
+      WatchdogService.watch({ id: 2001, state: 'reserved', createdAt: new Date() });
+      WatchdogService.getMetrics().watching.should.equal(watching + 1);
+
+      WatchdogService.unwatch(2001);
+      WatchdogService.getMetrics().watching.should.equal(watching);
+    });
+
+    describe('timeouts', function() {
+      var original, expire;
+
+      before(function() {
+        original = sails.config.watchdog;
+        expire = WatchdogService.expire;
+
+        sails.config.watchdog = _.extend({}, original, {
+          timeouts: _.extend({}, original.timeouts, { reserved: 20 }),
+          establishTimeout: 10000,
+          jitter: 0
+        });
+      });
+
+      after(function() {
+        sails.config.watchdog = original;
+        WatchdogService.expire = expire;
+      });
+
+      it('should give up on a connection that sits in one state too long', function(done) {
+        WatchdogService.expire = function(id, state, reason) {
+          id.should.equal(2003);
+          state.should.equal('reserved');
+          reason.should.equal('timeout_reserved');
+          done();
+        };
+
+        WatchdogService.watch({ id: 2003, state: 'reserved', createdAt: new Date() });
+      });
+
+      it('should give up on a connection that takes too long overall, whatever state it is in', function(done) {
+        WatchdogService.expire = function(id, state, reason) {
+          id.should.equal(2004);
+          state.should.equal('connecting');
+          reason.should.equal('timeout_establish');
+          done();
+        };
+
+        // connecting has a while left, but the connection as a whole is nearly out of time
+        WatchdogService.watch({ id: 2004, state: 'connecting', createdAt: new Date(Date.now() - 10000 + 20) });
+      });
+
+    });
+
+  });
+
+  describe('#expire()', function() {
+    var initiator, endpoint, peerConn;
+    var notified = [];
+    var notifyPeer;
+
+    before(function(done) {
+      notifyPeer = OverlayService.notifyPeer;
+      OverlayService.notifyPeer = function(peer, verb, data) {
+        notified.push({ socketId: peer.socketId, verb: verb, data: data });
+      };
+
+      Channel.create({ name: 'Stuck', owner: 1 })
+        .then(function(channel) {
+          return Promise.all([
+            Peer.create({ socketId: 'watchdog-broadcaster', channel: channel.id, broadcaster: true }),
+            Peer.create({ socketId: 'watchdog-viewer', channel: channel.id, broadcaster: false })
+          ]);
+        })
+        .spread(function(broadcaster, viewer) {
+          endpoint = broadcaster;
+          initiator = viewer;
+
+          return PeerConnection.create({ initiator: initiator.id, endpoint: endpoint.id, state: 'connecting' });
+        })
+        .then(function(created) {
+          peerConn = created;
+          done();
+        })
+        .catch(done);
+    });
+
+    after(function() {
+      OverlayService.notifyPeer = notifyPeer;
+    });
+
+    it('should leave a connection alone if it has moved on since', function(done) {
+      WatchdogService.expire(peerConn.id, 'reserved', 'timeout_reserved')
+        .then(function() {
+          notified.should.be.empty;
+          return PeerConnection.findOneById(peerConn.id);
+        })
+        .then(function(found) {
+          found.state.should.equal('connecting');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should destroy a stuck connection and tell both peers why', function(done) {
+      WatchdogService.expire(peerConn.id, 'connecting', 'timeout_connecting')
+        .then(function() {
+          _.pluck(notified, 'socketId').sort().should.eql(['watchdog-broadcaster', 'watchdog-viewer']);
+
+          _.forEach(notified, function(notification) {
+            notification.verb.should.equal('connectionClosed');
+            notification.data.should.eql({ connection: peerConn.id, reason: 'timeout_connecting' });
+          });
+
+          WatchdogService.getMetrics().timedOut.should.eql({ timeout_connecting: 1 });
+
+          return PeerConnection.findOneById(peerConn.id);
+        })
+        .then(function(found) {
+          expect(found).to.not.exist;
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+});